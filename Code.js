@@ -15,6 +15,9 @@ function onOpen() {
     .addItem('📱 Open Live Web App', 'openWebApp')
     .addSeparator()
     .addItem('ℹ️ Get Web App URL', 'showWebAppUrl')
+    .addSeparator()
+    .addItem('🔑 Hash Admin Passwords', 'hashAdminPasswords')
+    .addItem('🗃️ Migrate Lesson Database', 'migrateLessonDatabase')
     .addToUi();
 }
 
@@ -43,10 +46,11 @@ function showWebAppUrl() {
              style="width: 100%; padding: 8px; margin: 10px 0; border: 1px solid #ccc; border-radius: 4px;"
              onclick="this.select()">
       <p style="font-size: 12px; color: #666;">Click the URL to select and copy it.</p>
+      <p style="font-size: 12px; color: #666;">To link straight to a lesson, add <code>?lesson=</code> and its title, plus <code>&amp;view=</code> and an image number to start part-way through, e.g. <code>?lesson=Cell%20Structure&amp;view=3</code>.</p>
     </div>
   `;
   SpreadsheetApp.getUi().showModalDialog(
-    HtmlService.createHtmlOutput(html).setWidth(500).setHeight(150),
+    HtmlService.createHtmlOutput(html).setWidth(500).setHeight(210),
     'Web App URL'
   );
 }
@@ -54,12 +58,67 @@ function showWebAppUrl() {
 /**
  * Serves the main HTML page of the web app.
  * This is the primary function that runs when the web app URL is visited.
+ * A `lesson` parameter (e.g. ?lesson=Cell%20Structure&view=3) deep-links straight into
+ * that lesson; the page reads the parameters itself, so doGet only checks that the
+ * lesson can be opened and serves an error page if it can't.
+ * @param {Object} e The request event, with query parameters in e.parameter.
  */
 function doGet(e) {
+  const lessonName = e && e.parameter && e.parameter.lesson ? e.parameter.lesson.toString().trim() : '';
+  if (lessonName) {
+    const problem = getDeepLinkProblem_(lessonName);
+    if (problem) {
+      return renderErrorPage_('Lesson Not Available', problem);
+    }
+  }
+
   return HtmlService.createHtmlOutputFromFile('Index.html')
     .setTitle('Interactive Anatomy Lab');
 }
 
+/**
+ * Checks whether a deep-linked lesson can be opened by a student.
+ * @param {string} lessonName The lesson title from the link.
+ * @returns {string|null} A message explaining why it can't be opened, or null if it can.
+ */
+function getDeepLinkProblem_(lessonName) {
+  try {
+    const lesson = findLessonByTitle_(lessonName);
+    if (!lesson) {
+      return `There is no lesson called "${lessonName}". It may have been renamed or deleted. Ask your teacher for an updated link.`;
+    }
+    if (lesson.status !== LESSON_STATUS_PUBLISHED) {
+      return `The lesson "${lessonName}" isn't open to students right now. Ask your teacher to publish it.`;
+    }
+    return null;
+  } catch (error) {
+    Logger.log(`Deep link check error: ${error.toString()}`);
+    return `The lesson "${lessonName}" couldn't be loaded: ${error.message}`;
+  }
+}
+
+/**
+ * Builds a simple standalone error page with a link back to the lesson list.
+ * @param {string} title The page heading.
+ * @param {string} message The explanation shown to the visitor.
+ * @returns {GoogleAppsScript.HTML.HtmlOutput} The page.
+ */
+function renderErrorPage_(title, message) {
+  const escapeHtml = (text) => text.toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 560px; margin: 80px auto; padding: 24px; text-align: center;">
+      <h1 style="color: #dc2626; font-size: 24px;">${escapeHtml(title)}</h1>
+      <p style="color: #4b5563; font-size: 16px; line-height: 1.5;">${escapeHtml(message)}</p>
+      <p style="margin-top: 24px;"><a href="${escapeHtml(WEB_APP_URL)}" target="_top" style="color: #2563eb;">See all lessons</a></p>
+    </div>
+  `;
+  return HtmlService.createHtmlOutput(html).setTitle(title);
+}
+
 /**
  * Converts a standard Google Drive sharing URL into a direct image link.
  * @param {string} url The standard Google Drive file URL.
@@ -82,173 +141,105 @@ function convertGoogleDriveUrl(url) {
 
 
 /**
- * Gets a list of all lessons from the "Lesson Database" sheet for the landing page.
+ * Gets a list of the published lessons from the "Lessons" sheet for the landing page.
  * This is called by the frontend to populate the lesson selection cards.
- * @returns {Array<Object>} An array of lesson objects, each with name, description, and previewImage.
+ * @returns {Array<Object>} An array of lesson objects, each with id, name, description, and previewImage.
  */
 function getLessons() {
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      return [{ error: "'Lesson Database' sheet not found." }];
-    }
-    const lastRow = sheet.getLastRow();
-    if (lastRow < 2) {
-      return []; // No lessons to return if sheet is empty or has only headers
-    }
-    // Get columns A (Lesson Title), B (Lesson Description), C (Image 1 Description), and D (Image 1 URL)
-    const lessonData = sheet.getRange(2, 1, lastRow - 1, 4).getValues();
-
-    // Map the 2D array to an array of objects
-    return lessonData.map(row => {
-      const lessonName = row[0];
-      const description = row[1];
-      // row[2] is Image 1 Description (not needed for preview)
-      const previewImage = convertGoogleDriveUrl(row[3]); // Column D = Image 1 URL
-      
-      // Only include if the lesson name is present
-      if (lessonName && lessonName.trim() !== "") {
-        return {
-          name: lessonName,
-          description: description,
-          previewImage: previewImage
-        };
-      }
-      return null;
-    }).filter(lesson => lesson !== null); // Filter out any empty rows
-
+    return summarizeLessons_(readLessons_().filter(lesson => lesson.status === LESSON_STATUS_PUBLISHED));
   } catch (error) {
     Logger.log(error.toString());
-    return [{ error: "Could not retrieve lessons." }];
+    return [{ error: `Could not retrieve lessons. ${error.message}` }];
   }
 }
 
-
 /**
- * Retrieves all the data for a specific lesson from the spreadsheet.
- * It finds the row with the matching lesson name and collects all valid
- * image URLs and descriptions.
- * @param {string} lessonName The name of the lesson to retrieve.
- * @returns {Array<Object>} An array of "view" objects, where each object has an `imageUrl` and a `description`.
+ * Builds lesson card data, using each lesson's first image as its preview.
+ * @param {Array<Object>} lessons Lesson records from readLessons_.
+ * @returns {Array<Object>} An array of lesson objects, each with id, name, description, and previewImage.
  */
-function getLessonData(lessonName) {
-  try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      throw new Error("'Lesson Database' sheet not found.");
-    }
-
-    const data = sheet.getDataRange().getValues();
-    const headers = data.shift(); // Remove header row
-
-    // Find the row that matches the selected lessonName
-    const lessonRow = data.find(row => row[0] === lessonName);
-
-    if (!lessonRow) {
-      return []; // Return empty if lesson not found
-    }
-
-    const views = [];
-    // Iterate through the columns by steps of 3 (Description, URL, Zones)
-    // Starting from column C (index 2) - Column B is Lesson Description
-    for (let i = 2; i < lessonRow.length; i += 3) {
-      const description = lessonRow[i];
-      const imageUrl = convertGoogleDriveUrl(lessonRow[i + 1]); // Convert the URL here
-      const zonesData = lessonRow[i + 2]; // Get the zones JSON string
-
-      // Only add the view if both the description and URL are not blank
-      if (description && imageUrl && description.toString().trim() !== "" && imageUrl.toString().trim() !== "") {
-        const viewObject = {
-          description: description,
-          imageUrl: imageUrl,
-          zones: []
-        };
-
-        // Parse zones JSON if it exists
-        if (zonesData && zonesData.toString().trim() !== "") {
-          try {
-            Logger.log(`Attempting to parse zones for view ${Math.floor(i / 3)}: "${zonesData.toString()}"`);
-            const parsedZones = JSON.parse(zonesData);
-            if (Array.isArray(parsedZones)) {
-              viewObject.zones = parsedZones;
-              Logger.log(`Successfully parsed ${parsedZones.length} zones for view ${Math.floor(i / 3)}`);
-            } else {
-              Logger.log(`Warning: Zones data is not an array for view ${Math.floor(i / 3)}. Type: ${typeof parsedZones}`);
-            }
-          } catch (e) {
-            Logger.log(`ERROR: Could not parse zones JSON for view ${Math.floor(i / 3)}`);
-            Logger.log(`  Raw data: "${zonesData.toString()}"`);
-            Logger.log(`  Error: ${e.toString()}`);
-            // Continue with empty zones array
-          }
-        } else {
-          Logger.log(`No zones data for view ${Math.floor(i / 3)}`);
-        }
+function summarizeLessons_(lessons) {
+  if (lessons.length === 0) {
+    return [];
+  }
 
-        views.push(viewObject);
-      }
+  const previews = {};
+  readAllImages_().forEach(image => {
+    const current = previews[image.lessonId];
+    if (!current || image.order < current.order) {
+      previews[image.lessonId] = image;
     }
-    return views;
-  } catch (error) {
-    Logger.log(error.toString());
-    return []; // Return an empty array on error
-  }
+  });
+
+  return lessons.map(lesson => ({
+    id: lesson.id,
+    name: lesson.title,
+    description: lesson.description,
+    previewImage: previews[lesson.id] ? convertGoogleDriveUrl(previews[lesson.id].url) : null
+  }));
 }
 
 /**
- * Gets lesson data optimized for the coordinate helper tool.
- * Returns all images for a lesson with their URLs already converted for Drive compatibility.
+ * Retrieves all the data for a specific lesson from the spreadsheet.
+ * Zones that still use a positional targetView are left as broken links (see upgradeZoneTargets_).
+ * Draft and archived lessons are only returned to an admin previewing a lesson they can edit.
  * @param {string} lessonName The name of the lesson to retrieve.
- * @returns {Array<Object>} An array of image objects with url, description, and index.
+ * @param {string} [previewToken] An admin session token, when previewing an unpublished lesson.
+ * @returns {Object} The lesson's `challengeMode` setting and its `views`: "view" objects in display order,
+ *     each with an `id`, `imageUrl`, `description`, `zones` and `focus` settings. `views` is empty if the
+ *     lesson can't be shown.
  */
-function getLessonDataForCoordinates(lessonName) {
+function getLessonData(lessonName, previewToken) {
+  const noLesson = { views: [], challengeMode: false };
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      throw new Error("'Lesson Database' sheet not found.");
+    const lesson = findLessonByTitle_(lessonName);
+    if (!lesson) {
+      return noLesson;
     }
-
-    const data = sheet.getDataRange().getValues();
-    const headers = data.shift(); // Remove header row
-
-    // Find the row that matches the selected lessonName
-    const lessonRow = data.find(row => row[0] === lessonName);
-
-    if (!lessonRow) {
-      return []; // Return empty if lesson not found
+    if (lesson.status !== LESSON_STATUS_PUBLISHED && authorizeLesson_(previewToken, lessonName, 'canEdit').error) {
+      return noLesson; // Students only see published lessons
     }
 
-    const images = [];
-    // Iterate through the columns by steps of 3 (Description, URL, Zones)
-    // Starting from column C (index 2) - Column B is Lesson Description
-    for (let i = 2; i < lessonRow.length; i += 3) {
-      const description = lessonRow[i];
-      const imageUrl = convertGoogleDriveUrl(lessonRow[i + 1]); // Convert the URL here
+    const images = getLessonImages_(lesson.id);
 
-      // Only add the image if both the description and URL are not blank
-      if (description && imageUrl && description.toString().trim() !== "" && imageUrl.toString().trim() !== "") {
-        images.push({
-          index: Math.floor((i - 2) / 3), // Calculate view index (0-based, adjusted for starting at index 2)
-          description: description,
-          imageUrl: imageUrl
-        });
+    const views = images.map((image, index) => {
+      const zones = parseZones_(image.zones);
+      if (!zones) {
+        Logger.log(`ERROR: Could not parse zones JSON for view ${index}`);
+        Logger.log(`  Raw data: "${image.zones}"`);
+        // Continue with empty zones array
       }
-    }
-    return images;
+
+      return {
+        id: image.id,
+        description: image.description,
+        imageUrl: convertGoogleDriveUrl(image.url),
+        zones: zones || [],
+        focus: parseFocus_(image.focus)
+      };
+    });
+    return { views: views, challengeMode: lesson.challengeMode };
   } catch (error) {
     Logger.log(error.toString());
-    return []; // Return an empty array on error
+    return noLesson;
   }
 }
 
 /**
  * Fetches an image from a URL and returns it as a base64-encoded data URL.
- * This bypasses CORS restrictions for canvas operations.
+ * This bypasses CORS restrictions for canvas operations. Admin-only, since it fetches
+ * arbitrary URLs with the deploying account's credentials.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
  * @param {string} url The image URL to fetch.
- * @returns {string} Base64-encoded data URL, or null on error.
+ * @returns {string} Base64-encoded data URL, or null on error or without a valid session.
  */
-function getImageAsBase64(url) {
+function getImageAsBase64(sessionToken, url) {
   try {
+    if (!getAdminSession_(sessionToken)) {
+      return null;
+    }
+
     // Fetch the image
     const response = UrlFetchApp.fetch(url, {
       muteHttpExceptions: true
@@ -277,6 +268,46 @@ function getImageAsBase64(url) {
   }
 }
 
+/**
+ * Gets the pixel size, byte size and type of an image file as stored in Drive. The zone editor
+ * loads Drive's thumbnail, which is scaled down when the original is large, but annotation
+ * files record coordinates on the original.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} url The image's share or thumbnail URL.
+ * @returns {Object} Object with success boolean, width, height, bytes and mimeType (each null if Drive doesn't know it); message on failure.
+ */
+function getImageFileInfo(sessionToken, url) {
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+
+    const unknown = { success: true, width: null, height: null, bytes: null, mimeType: null };
+    const fileId = extractFileIdFromUrl(url);
+    if (!fileId) {
+      return unknown;
+    }
+    const file = Drive.Files.get(fileId, { fields: 'mimeType,size,imageMediaMetadata(width,height,rotation)' });
+    const metadata = file.imageMediaMetadata;
+    if (!metadata || !metadata.width || !metadata.height) {
+      return Object.assign(unknown, { bytes: Number(file.size) || null, mimeType: file.mimeType || null });
+    }
+    // Drive reports the size as stored; thumbnails and annotation tools show the image turned upright
+    const quarterTurn = (metadata.rotation || 0) % 2 === 1;
+    return {
+      success: true,
+      width: quarterTurn ? metadata.height : metadata.width,
+      height: quarterTurn ? metadata.width : metadata.height,
+      bytes: Number(file.size) || null,
+      mimeType: file.mimeType || null
+    };
+
+  } catch (error) {
+    Logger.log(`Get image file info error: ${error.toString()}`);
+    return { success: false, message: `Failed to read the image file's size: ${error.toString()}` };
+  }
+}
+
 /**
  * A diagnostic function to test if the script can access the spreadsheet.
  * This is used to isolate permissions/access issues from the client-side.
@@ -291,9 +322,12 @@ function diagnoseSpreadsheetAccess() {
     }
 
     // 2. Try to get the specific sheet by its name
-    const sheet = spreadsheet.getSheetByName("Lesson Database");
+    const sheet = spreadsheet.getSheetByName(LESSONS_SHEET_NAME);
     if (!sheet) {
-      return "DIAGNOSTIC FAILED: Could not find a sheet named 'Lesson Database'. Please check for typos or extra spaces in the sheet tab name.";
+      if (spreadsheet.getSheetByName(LEGACY_LESSON_SHEET_NAME)) {
+        return `DIAGNOSTIC FAILED: Found the old '${LEGACY_LESSON_SHEET_NAME}' sheet but no '${LESSONS_SHEET_NAME}' sheet. Run 🔬 Anatomy Lab → 🗃️ Migrate Lesson Database.`;
+      }
+      return `DIAGNOSTIC FAILED: Could not find a sheet named '${LESSONS_SHEET_NAME}'. Please check for typos or extra spaces in the sheet tab name.`;
     }
 
     // 3. If everything works, return a clear success message
@@ -309,11 +343,134 @@ function diagnoseSpreadsheetAccess() {
 // ADMIN AUTHENTICATION & AUTHORIZATION
 // ============================================================================
 
+const PASSWORD_HASH_PREFIX = 'sha256';
+const PASSWORD_HASH_ITERATIONS = 1000;
+const ADMIN_SESSION_TTL_SECONDS = 6 * 60 * 60; // CacheService maximum
+// Failed logins are counted per username, since Apps Script doesn't see the caller's IP
+// address. That means anyone who knows a username can lock that account out for 15 minutes
+// by typing wrong passwords; an admin can't lift the lockout early, only wait it out.
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_LOCKOUT_SECONDS = 15 * 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Account roles stored in column C of the "Admin" sheet.
+ * Department admins can edit every lesson and manage accounts; teachers can only
+ * work on lessons they own or have been added to as a collaborator.
+ * A blank role is treated as a department admin so existing sheets keep working.
+ */
+const ADMIN_ROLE = 'admin';
+const TEACHER_ROLE = 'teacher';
+const ACCOUNT_ROLES = [ADMIN_ROLE, TEACHER_ROLE];
+
+
+/**
+ * Hashes a password with a salt using iterated SHA-256.
+ * @param {string} password The plaintext password.
+ * @param {string} salt A random per-user salt.
+ * @param {number} iterations The number of hashing rounds.
+ * @returns {string} The hex-encoded hash.
+ */
+function computePasswordHash_(password, salt, iterations) {
+  let hash = password;
+  for (let i = 0; i < iterations; i++) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, `${salt}:${hash}`, Utilities.Charset.UTF_8);
+    hash = digest.map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0')).join('');
+  }
+  return hash;
+}
+
+/**
+ * Builds the value stored in the "Admin" sheet's password column.
+ * Format: sha256$<iterations>$<salt>$<hash>
+ * @param {string} password The plaintext password.
+ * @returns {string} The encoded salted hash.
+ */
+function hashPassword_(password) {
+  const salt = Utilities.getUuid().replace(/-/g, '');
+  const hash = computePasswordHash_(password, salt, PASSWORD_HASH_ITERATIONS);
+  return [PASSWORD_HASH_PREFIX, PASSWORD_HASH_ITERATIONS, salt, hash].join('$');
+}
+
+/**
+ * Checks whether a stored password value is a salted hash rather than legacy plaintext.
+ * @param {string} storedValue The value from the "Admin" sheet.
+ * @returns {boolean} True if the value is a hash produced by hashPassword_.
+ */
+function isPasswordHash_(storedValue) {
+  return storedValue.split('$').length === 4 && storedValue.indexOf(`${PASSWORD_HASH_PREFIX}$`) === 0;
+}
+
+/**
+ * Compares two strings without returning early, so timing doesn't reveal how much matched.
+ * @param {string} a The first string.
+ * @param {string} b The second string.
+ * @returns {boolean} True if the strings are identical.
+ */
+function constantTimeEquals_(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Verifies a password against a stored salted hash.
+ * @param {string} password The plaintext password to check.
+ * @param {string} storedValue The encoded hash from the "Admin" sheet.
+ * @returns {boolean} True if the password matches.
+ */
+function verifyPassword_(password, storedValue) {
+  const [, iterations, salt, hash] = storedValue.split('$');
+  return constantTimeEquals_(computePasswordHash_(password, salt, parseInt(iterations, 10)), hash);
+}
+
+/**
+ * Replaces any plaintext passwords left in the "Admin" sheet with salted hashes.
+ * Run this from the spreadsheet menu after adding a new admin row by hand.
+ * @returns {Object} Object with success boolean and message.
+ */
+function hashAdminPasswords() {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Admin");
+    if (!sheet || sheet.getLastRow() < 2) {
+      return { success: false, message: "No admin credentials configured." };
+    }
+
+    const range = sheet.getRange(2, 2, sheet.getLastRow() - 1, 1);
+    const passwords = range.getValues();
+    let hashedCount = 0;
+    passwords.forEach(row => {
+      const stored = row[0] ? row[0].toString().trim() : '';
+      if (stored && !isPasswordHash_(stored)) {
+        row[0] = hashPassword_(stored);
+        hashedCount++;
+      }
+    });
+    range.setValues(passwords);
+
+    const message = `Hashed ${hashedCount} plaintext password(s).`;
+    try {
+      SpreadsheetApp.getUi().alert(message);
+    } catch (e) {
+      // Not running from the spreadsheet UI
+    }
+    return { success: true, message: message };
+
+  } catch (error) {
+    Logger.log(`Hash admin passwords error: ${error.toString()}`);
+    return { success: false, message: `Failed to hash passwords: ${error.toString()}` };
+  }
+}
+
 /**
- * Authenticates admin credentials against the "Admin" sheet.
+ * Authenticates admin credentials against the "Admin" sheet and starts a session.
+ * Passwords are stored as salted hashes; a legacy plaintext password is accepted once
+ * and immediately replaced with its hash.
  * @param {string} username The username to verify.
  * @param {string} password The password to verify.
- * @returns {Object} Object with success boolean and message.
+ * @returns {Object} Object with success boolean, message, and sessionToken, username and role on success.
  */
 function authenticateAdmin(username, password) {
   try {
@@ -327,19 +484,48 @@ function authenticateAdmin(username, password) {
       return { success: false, message: "No admin credentials configured." };
     }
 
-    // Get all usernames and passwords (columns A and B)
-    const credentials = sheet.getRange(2, 1, lastRow - 1, 2).getValues();
+    const normalizedUsername = username.trim();
+    const cache = CacheService.getScriptCache();
+    const failuresKey = `admin-login-failures:${normalizedUsername.toLowerCase()}`;
+    const failures = parseInt(cache.get(failuresKey) || '0', 10);
+    if (failures >= MAX_FAILED_LOGINS) {
+      return { success: false, message: "Too many failed attempts. Please wait 15 minutes and try again." };
+    }
+
+    const accounts = getAdminAccounts_();
+
+    for (let i = 0; i < accounts.length; i++) {
+      const account = accounts[i];
+      const storedPassword = account.password;
+      if (!storedPassword || account.username !== normalizedUsername) {
+        continue;
+      }
 
-    // Check if credentials match any row
-    for (let i = 0; i < credentials.length; i++) {
-      const [storedUsername, storedPassword] = credentials[i];
-      if (storedUsername && storedPassword &&
-        storedUsername.toString().trim() === username.trim() &&
-        storedPassword.toString().trim() === password.trim()) {
-        return { success: true, message: "Authentication successful." };
+      let matches;
+      if (isPasswordHash_(storedPassword)) {
+        matches = verifyPassword_(password, storedPassword);
+      } else {
+        matches = constantTimeEquals_(storedPassword, password);
+        if (matches) {
+          // Upgrade the legacy plaintext password in place, hashing exactly what the hashed path will check
+          sheet.getRange(account.row, 2).setValue(hashPassword_(password));
+        }
+      }
+
+      if (matches) {
+        cache.remove(failuresKey);
+        return {
+          success: true,
+          message: "Authentication successful.",
+          sessionToken: createAdminSession_(account.username),
+          username: account.username,
+          role: account.role
+        };
       }
+      break;
     }
 
+    cache.put(failuresKey, String(failures + 1), FAILED_LOGIN_LOCKOUT_SECONDS);
     return { success: false, message: "Invalid username or password." };
 
   } catch (error) {
@@ -348,622 +534,2772 @@ function authenticateAdmin(username, password) {
   }
 }
 
-// ============================================================================
-// GOOGLE DRIVE INTEGRATION
-// ============================================================================
+/**
+ * Issues a random session token for an authenticated admin and stores it in CacheService.
+ * @param {string} username The authenticated username.
+ * @returns {string} The session token the client passes to every admin function.
+ */
+function createAdminSession_(username) {
+  const token = Utilities.getUuid() + Utilities.getUuid();
+  const session = { username: username, createdAt: new Date().toISOString() };
+  CacheService.getScriptCache().put(`admin-session:${token}`, JSON.stringify(session), ADMIN_SESSION_TTL_SECONDS);
+  return token;
+}
 
 /**
- * Creates a folder in Google Drive for a lesson.
- * @param {string} lessonTitle The title of the lesson (will be the folder name).
- * @returns {Object} Object with success boolean, folderId, and message.
+ * Looks up an admin session and extends it, since the admin is still active.
+ * The account's role is read fresh from the "Admin" sheet so role changes and
+ * deleted accounts take effect immediately.
+ * @param {string} sessionToken The token returned by authenticateAdmin.
+ * @returns {Object|null} The session ({ username, role, createdAt }) or null if missing, expired, or the account was removed.
  */
-function createLessonFolder(lessonTitle) {
-  try {
-    // Root folder ID for lesson storage
-    const ROOT_FOLDER_ID = '1L69YbBWOi7AM_LrB5A1ENTy-AJHoTTRf';
-    const rootFolder = DriveApp.getFolderById(ROOT_FOLDER_ID);
+function getAdminSession_(sessionToken) {
+  if (!sessionToken || typeof sessionToken !== 'string') {
+    return null;
+  }
+  const cache = CacheService.getScriptCache();
+  const key = `admin-session:${sessionToken}`;
+  const stored = cache.get(key);
+  if (!stored) {
+    return null;
+  }
+  const session = JSON.parse(stored);
+  const account = getAdminAccounts_().find(acc => acc.username === session.username);
+  if (!account) {
+    cache.remove(key);
+    return null;
+  }
 
-    // Check if folder already exists
-    const existingFolders = rootFolder.getFoldersByName(lessonTitle);
-    if (existingFolders.hasNext()) {
-      const existingFolder = existingFolders.next();
-      return {
-        success: true,
-        folderId: existingFolder.getId(),
-        message: "Folder already exists.",
-        isNew: false
-      };
-    }
+  cache.put(key, stored, ADMIN_SESSION_TTL_SECONDS);
+  session.role = account.role;
+  return session;
+}
 
-    // Create new folder
-    const newFolder = rootFolder.createFolder(lessonTitle);
-    return {
-      success: true,
-      folderId: newFolder.getId(),
-      message: "Folder created successfully.",
-      isNew: true
-    };
+/**
+ * The result every admin function returns when called without a valid session.
+ * @returns {Object} Object with success false, authRequired true, and message.
+ */
+function sessionRequiredResult_() {
+  return {
+    success: false,
+    authRequired: true,
+    message: "Your admin session has expired. Please log in again."
+  };
+}
 
+/**
+ * Ends an admin session.
+ * @param {string} sessionToken The token to invalidate.
+ * @returns {Object} Object with success boolean and message.
+ */
+function logoutAdmin(sessionToken) {
+  try {
+    if (sessionToken) {
+      CacheService.getScriptCache().remove(`admin-session:${sessionToken}`);
+    }
+    return { success: true, message: "Logged out." };
   } catch (error) {
-    Logger.log(`Create folder error: ${error.toString()}`);
-    return {
-      success: false,
-      message: `Failed to create folder: ${error.toString()}`
-    };
+    Logger.log(`Logout error: ${error.toString()}`);
+    return { success: false, message: `Failed to log out: ${error.toString()}` };
   }
 }
 
+// ============================================================================
+// ACCOUNTS & LESSON ACCESS
+// ============================================================================
+
 /**
- * Uploads a base64-encoded image to Google Drive.
- * @param {string} base64Data The base64-encoded image data (without data URL prefix).
- * @param {string} mimeType The MIME type of the image (e.g., 'image/png').
- * @param {string} fileName The name for the file.
- * @param {string} folderId The ID of the folder to upload to.
- * @returns {Object} Object with success boolean, fileId, url, and message.
+ * Reads every account from the "Admin" sheet.
+ * @returns {Array<Object>} Accounts as { username, password, role, row } where row is the 1-based sheet row.
  */
-function uploadImageToDrive(base64Data, mimeType, fileName, folderId) {
-  try {
-    // Decode base64 to blob
-    const decodedData = Utilities.base64Decode(base64Data);
-    const blob = Utilities.newBlob(decodedData, mimeType, fileName);
+function getAdminAccounts_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Admin");
+  if (!sheet || sheet.getLastRow() < 2) {
+    return [];
+  }
 
-    // Get the folder
-    const folder = DriveApp.getFolderById(folderId);
+  // Columns A (Username), B (Password hash), C (Role)
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+  return rows.map((row, i) => {
+    const role = row[2] ? row[2].toString().trim().toLowerCase() : '';
+    return {
+      username: row[0] ? row[0].toString().trim() : '',
+      password: row[1] ? row[1].toString().trim() : '',
+      role: role === TEACHER_ROLE ? TEACHER_ROLE : ADMIN_ROLE,
+      row: i + 2
+    };
+  }).filter(account => account.username);
+}
 
-    // Create the file
-    const file = folder.createFile(blob);
+/**
+ * Works out what a signed-in account may do with a lesson.
+ * Owners and department admins can edit, delete and share; collaborators can only edit.
+ * Lessons with no owner can only be edited by department admins until one is assigned.
+ * @param {Object} session The session from getAdminSession_.
+ * @param {Object} lesson The lesson record from the "Lessons" sheet.
+ * @returns {Object} Object with lessonRole ('owner'|'editor'|'admin'|null), canEdit, canDelete and canShare.
+ */
+function getLessonPermissions_(session, lesson) {
+  const isDepartmentAdmin = session.role === ADMIN_ROLE;
+  const isOwner = lesson.owner !== '' && lesson.owner === session.username;
+  const isEditor = lesson.collaborators.indexOf(session.username) !== -1;
+
+  let lessonRole = null;
+  if (isOwner) {
+    lessonRole = 'owner';
+  } else if (isEditor) {
+    lessonRole = 'editor';
+  } else if (isDepartmentAdmin) {
+    lessonRole = 'admin';
+  }
 
-    // Set sharing permissions to "Anyone with link can view"
-    file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+  return {
+    lessonRole: lessonRole,
+    canEdit: isDepartmentAdmin || isOwner || isEditor,
+    canDelete: isDepartmentAdmin || isOwner,
+    canShare: isDepartmentAdmin || isOwner
+  };
+}
 
-    // Get the shareable URL
-    const fileId = file.getId();
-    const url = `https://drive.google.com/file/d/${fileId}/view?usp=sharing`;
+/**
+ * Checks that a session may perform an action on a lesson.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonTitle The title of the lesson.
+ * @param {string} permission One of 'canEdit', 'canDelete' or 'canShare'.
+ * @returns {Object} { session, lesson, permissions } when allowed, or { error } holding the result to return to the client.
+ */
+function authorizeLesson_(sessionToken, lessonTitle, permission) {
+  const session = getAdminSession_(sessionToken);
+  if (!session) {
+    return { error: sessionRequiredResult_() };
+  }
 
-    return {
-      success: true,
-      fileId: fileId,
-      url: url,
-      message: "Image uploaded successfully."
-    };
+  const lesson = findLessonByTitle_(lessonTitle);
+  if (!lesson) {
+    return { error: { success: false, message: "Lesson not found." } };
+  }
 
-  } catch (error) {
-    Logger.log(`Upload image error: ${error.toString()}`);
+  const permissions = getLessonPermissions_(session, lesson);
+  if (!permissions[permission]) {
+    const actions = { canEdit: 'edit', canDelete: 'delete', canShare: 'change sharing for' };
     return {
-      success: false,
-      message: `Failed to upload image: ${error.toString()}`
+      error: {
+        success: false,
+        message: `You don't have permission to ${actions[permission]} this lesson. Ask its owner or a department admin.`
+      }
     };
   }
+  return { session: session, lesson: lesson, permissions: permissions };
 }
 
 /**
- * Updates sharing permissions for a Drive file.
- * @param {string} fileId The ID of the file.
- * @returns {Object} Object with success boolean and message.
+ * Checks that a session belongs to a department admin.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @returns {Object} { session } when allowed, or { error } holding the result to return to the client.
+ */
+function authorizeDepartmentAdmin_(sessionToken) {
+  const session = getAdminSession_(sessionToken);
+  if (!session) {
+    return { error: sessionRequiredResult_() };
+  }
+  if (session.role !== ADMIN_ROLE) {
+    return { error: { success: false, message: "Only department admins can manage accounts." } };
+  }
+  return { session: session };
+}
+
+/**
+ * Gets every lesson along with its owner, collaborators and what the signed-in account may do with it.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @returns {Object} Object with success boolean, lessons array, and account ({ username, role }).
  */
-function setDrivePermissions(fileId) {
+function getAdminLessons(sessionToken) {
   try {
-    const file = DriveApp.getFileById(fileId);
-    file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+    const session = getAdminSession_(sessionToken);
+    if (!session) {
+      return sessionRequiredResult_();
+    }
+
+    const records = readLessons_();
     return {
       success: true,
-      message: "Permissions updated successfully."
+      account: { username: session.username, role: session.role },
+      webAppUrl: WEB_APP_URL,
+      lessons: summarizeLessons_(records).map((lesson, i) => Object.assign(lesson, {
+        owner: records[i].owner,
+        collaborators: records[i].collaborators,
+        status: records[i].status,
+        challengeMode: records[i].challengeMode,
+        version: records[i].version,
+        permissions: getLessonPermissions_(session, records[i])
+      }))
     };
+
   } catch (error) {
-    Logger.log(`Set permissions error: ${error.toString()}`);
-    return {
-      success: false,
-      message: `Failed to set permissions: ${error.toString()}`
-    };
+    Logger.log(`Get admin lessons error: ${error.toString()}`);
+    return { success: false, message: `Failed to get lessons: ${error.toString()}` };
   }
 }
 
-// ============================================================================
+/**
+ * Sets a lesson's owner and collaborators. Owners and department admins only.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonTitle The title of the lesson.
+ * @param {string} owner The username that should own the lesson.
+ * @param {Array<string>} collaborators Usernames that may edit the lesson.
+ * @returns {Object} Object with success boolean and message.
+ */
+function setLessonSharing(sessionToken, lessonTitle, owner, collaborators) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonTitle, 'canShare');
+    if (auth.error) {
+      return auth.error;
+    }
+
+    const usernames = getAdminAccounts_().map(account => account.username);
+    if (usernames.indexOf(owner) === -1) {
+      return { success: false, message: `Unknown owner "${owner}".` };
+    }
+    const unknown = collaborators.filter(name => usernames.indexOf(name) === -1);
+    if (unknown.length > 0) {
+      return { success: false, message: `Unknown collaborator(s): ${unknown.join(', ')}` };
+    }
+
+    updateLessonRecord_(auth.lesson, {
+      owner: owner,
+      collaborators: collaborators.filter(name => name !== owner)
+    });
+    return { success: true, message: "Lesson sharing updated." };
+
+  } catch (error) {
+    Logger.log(`Set lesson sharing error: ${error.toString()}`);
+    return { success: false, message: `Failed to update sharing: ${error.toString()}` };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Sets whether a lesson is a draft, published to students, or archived. Anyone who can edit the lesson may change it.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonTitle The title of the lesson.
+ * @param {string} status One of LESSON_STATUSES.
+ * @returns {Object} Object with success boolean and message.
+ */
+function setLessonStatus(sessionToken, lessonTitle, status) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonTitle, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+    if (LESSON_STATUSES.indexOf(status) === -1) {
+      return { success: false, message: `Unknown lesson status "${status}".` };
+    }
+
+    updateLessonRecord_(auth.lesson, { status: status });
+    return { success: true, message: `Lesson is now ${status}.` };
+
+  } catch (error) {
+    Logger.log(`Set lesson status error: ${error.toString()}`);
+    return { success: false, message: `Failed to update lesson status: ${error.toString()}` };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Saves a lesson's description and settings from the lesson form. The title isn't
+ * changed here, since it names the lesson's Drive folder and student links.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonTitle The title of the lesson.
+ * @param {string} lessonDescription The new description.
+ * @param {boolean} challengeMode Whether students must find each labelled zone before exploring it.
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the save is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean, the lesson's new version, and message; versionConflict if the lesson changed since it was loaded.
+ */
+function updateLessonDetails(sessionToken, lessonTitle, lessonDescription, challengeMode, expectedVersion) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonTitle, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
+    recordLessonBaseline_(auth.lesson);
+
+    const updated = updateLessonRecord_(auth.lesson, {
+      description: (lessonDescription || '').toString(),
+      challengeMode: Boolean(challengeMode),
+      version: auth.lesson.version + 1
+    });
+    recordLessonHistory_(updated, auth.session.username, 'Edited the lesson description and settings');
+    return { success: true, version: updated.version, message: "Lesson details saved." };
+
+  } catch (error) {
+    Logger.log(`Update lesson details error: ${error.toString()}`);
+    return { success: false, message: `Failed to save lesson details: ${error.toString()}` };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Lists account usernames and roles (never passwords). Any signed-in account can
+ * read this so owners can pick collaborators.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @returns {Object} Object with success boolean and accounts array of { username, role }.
+ */
+function getAdminAccountList(sessionToken) {
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    return {
+      success: true,
+      accounts: getAdminAccounts_().map(account => ({ username: account.username, role: account.role }))
+    };
+  } catch (error) {
+    Logger.log(`Get account list error: ${error.toString()}`);
+    return { success: false, message: `Failed to get accounts: ${error.toString()}` };
+  }
+}
+
+/**
+ * Creates an account or updates an existing one. Department admins only.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} username The account username.
+ * @param {string} password A new password, or empty to keep an existing account's password.
+ * @param {string} role Either 'admin' or 'teacher'.
+ * @returns {Object} Object with success boolean and message.
+ */
+function saveAdminAccount(sessionToken, username, password, role) {
+  let lock = null;
+  try {
+    const auth = authorizeDepartmentAdmin_(sessionToken);
+    if (auth.error) {
+      return auth.error;
+    }
+    lock = acquireEditLock_();
+
+    const normalizedUsername = (username || '').trim();
+    if (!normalizedUsername || normalizedUsername.indexOf(',') !== -1) {
+      return { success: false, message: "Usernames can't be blank or contain commas." };
+    }
+    if (/^[=+\-@]/.test(normalizedUsername)) {
+      return { success: false, message: "Usernames can't start with =, +, - or @." };
+    }
+    if (ACCOUNT_ROLES.indexOf(role) === -1) {
+      return { success: false, message: `Unknown role "${role}".` };
+    }
+    if (password && password.length < MIN_PASSWORD_LENGTH) {
+      return { success: false, message: `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters.` };
+    }
+
+    const accounts = getAdminAccounts_();
+    const existing = accounts.find(account => account.username === normalizedUsername);
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Admin");
+
+    if (!existing) {
+      if (!password) {
+        return { success: false, message: "New accounts need a password." };
+      }
+      sheet.appendRow([sanitizeCellValue_(normalizedUsername), hashPassword_(password), role]);
+      return { success: true, message: `Account "${normalizedUsername}" created.` };
+    }
+
+    const otherAdmins = accounts.filter(account => account.role === ADMIN_ROLE && account.username !== normalizedUsername);
+    if (role !== ADMIN_ROLE && otherAdmins.length === 0) {
+      return { success: false, message: "There must always be at least one department admin." };
+    }
+
+    sheet.getRange(existing.row, 3).setValue(role);
+    if (password) {
+      sheet.getRange(existing.row, 2).setValue(hashPassword_(password));
+    }
+    return { success: true, message: `Account "${normalizedUsername}" updated.` };
+
+  } catch (error) {
+    Logger.log(`Save account error: ${error.toString()}`);
+    return { success: false, message: `Failed to save account: ${error.toString()}` };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Deletes an account. Department admins only; you can't delete yourself.
+ * Lessons the account owned keep their record and can be reassigned by a department admin.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} username The account to delete.
+ * @returns {Object} Object with success boolean and message.
+ */
+function deleteAdminAccount(sessionToken, username) {
+  let lock = null;
+  try {
+    const auth = authorizeDepartmentAdmin_(sessionToken);
+    if (auth.error) {
+      return auth.error;
+    }
+    lock = acquireEditLock_();
+    if (auth.session.username === username) {
+      return { success: false, message: "You can't delete your own account." };
+    }
+
+    const account = getAdminAccounts_().find(acc => acc.username === username);
+    if (!account) {
+      return { success: false, message: "Account not found." };
+    }
+
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Admin").deleteRow(account.row);
+    return { success: true, message: `Account "${username}" deleted.` };
+
+  } catch (error) {
+    Logger.log(`Delete account error: ${error.toString()}`);
+    return { success: false, message: `Failed to delete account: ${error.toString()}` };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+// ============================================================================
+// LESSON STORAGE
+// ============================================================================
+// Lessons live in two sheets: "Lessons" (one row per lesson) and "Images" (one row
+// per image, linked by Lesson ID and ordered by the Order column). Every lesson and
+// image function goes through the helpers below rather than reading sheets directly.
+
+const LESSONS_SHEET_NAME = "Lessons";
+const LESSONS_HEADERS = ['Lesson ID', 'Title', 'Description', 'Owner', 'Collaborators', 'Status', 'Challenge Mode', 'Version'];
+const IMAGES_SHEET_NAME = "Images";
+const IMAGES_HEADERS = ['Image ID', 'Lesson ID', 'Order', 'Description', 'URL', 'Zones', 'Focus'];
+
+// Focusing exercise for an image: whether students must focus it before zones appear,
+// the slider value that is in focus (0-100), how close counts as focused, and whether
+// a fine knob is shown next to the coarse one. A blank Focus cell means these defaults.
+const DEFAULT_IMAGE_FOCUS = { required: true, target: 50, tolerance: 5, knobs: 'coarse' };
+const FOCUS_KNOBS = ['coarse', 'coarse-fine'];
+
+// Lesson statuses. Only published lessons are listed for students; a blank Status
+// cell counts as published so lessons from before the column existed stay visible.
+const LESSON_STATUS_DRAFT = 'draft';
+const LESSON_STATUS_PUBLISHED = 'published';
+const LESSON_STATUS_ARCHIVED = 'archived';
+const LESSON_STATUSES = [LESSON_STATUS_DRAFT, LESSON_STATUS_PUBLISHED, LESSON_STATUS_ARCHIVED];
+
+// Every change to the lesson, image and account sheets runs under the script lock, so two
+// teachers saving at once can't interleave their reads and writes, or have a deleted row
+// shift someone else's write onto the wrong lesson. Each lesson also has a Version number
+// that every change to its content bumps. The editor sends back the version it loaded,
+// and a save made against an older version is refused instead of overwriting the newer one.
+const EDIT_LOCK_WAIT_MS = 10000;
+
+// Sheets from before the Lessons/Images layout, read only by migrateLessonDatabase
+const LEGACY_LESSON_SHEET_NAME = "Lesson Database";
+const LEGACY_LESSON_ACCESS_SHEET_NAME = "Lesson Access";
+
+/**
+ * Returns a sheet by name, creating it with a bold header row if it doesn't exist yet.
+ * Columns added to the headers since an existing sheet was created get their header
+ * cell filled in.
+ * @param {string} sheetName The name of the sheet.
+ * @param {Array<string>} headers The header row to write when the sheet is created.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The existing or newly created sheet.
+ */
+function getOrCreateSheet_(sheetName, headers) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  } else if (sheet.getLastColumn() < headers.length) {
+    const missing = headers.slice(sheet.getLastColumn());
+    sheet.getRange(1, sheet.getLastColumn() + 1, 1, missing.length).setValues([missing]).setFontWeight('bold');
+  }
+  return sheet;
+}
+
+/**
+ * Prevents student-entered text from being interpreted as a spreadsheet formula.
+ * @param {*} value The value about to be written to a cell.
+ * @returns {*} The value, with a leading apostrophe added to formula-like strings.
+ */
+function sanitizeCellValue_(value) {
+  if (typeof value === 'string' && /^[=+\-@]/.test(value)) {
+    return `'${value}`;
+  }
+  return value;
+}
+
+/**
+ * Gets one of the lesson storage sheets, creating it if this is a fresh spreadsheet.
+ * Throws if the spreadsheet still uses the old "Lesson Database" layout, so nothing
+ * silently shows an empty lesson list before the migration has been run.
+ * @param {string} sheetName LESSONS_SHEET_NAME or IMAGES_SHEET_NAME.
+ * @param {Array<string>} headers The sheet's header row.
+ * @returns {GoogleAppsScript.Spreadsheet.Sheet} The sheet.
+ */
+function getStorageSheet_(sheetName, headers) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  if (!spreadsheet.getSheetByName(sheetName) && spreadsheet.getSheetByName(LEGACY_LESSON_SHEET_NAME)) {
+    throw new Error(`Lessons are still in the old "${LEGACY_LESSON_SHEET_NAME}" layout. Run 🔬 Anatomy Lab → 🗃️ Migrate Lesson Database from the spreadsheet.`);
+  }
+  return getOrCreateSheet_(sheetName, headers);
+}
+
+/**
+ * Generates a short random ID for a lesson or image row.
+ * @param {string} prefix 'lsn' for lessons, 'img' for images.
+ * @returns {string} The new ID, e.g. "img_3f9c0a1b2d4e".
+ */
+function newRecordId_(prefix) {
+  return `${prefix}_${Utilities.getUuid().replace(/-/g, '').slice(0, 12)}`;
+}
+
+/**
+ * Finds the row holding an exact value in one column, without reading the whole sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The sheet to search.
+ * @param {number} column The 1-based column to search.
+ * @param {string} value The exact cell value to find.
+ * @returns {number} The 1-based row number, or -1 if not found.
+ */
+function findRowByValue_(sheet, column, value) {
+  if (!value || sheet.getLastRow() < 2) {
+    return -1;
+  }
+  const match = sheet.getRange(2, column, sheet.getLastRow() - 1, 1)
+    .createTextFinder(value.toString().trim())
+    .matchCase(true)
+    .matchEntireCell(true)
+    .findNext();
+  return match ? match.getRow() : -1;
+}
+
+/**
+ * Converts a "Lessons" sheet row into a lesson record.
+ * @param {Array} row The row values.
+ * @param {number} rowNumber The 1-based sheet row.
+ * @returns {Object} The lesson as { id, title, description, owner, collaborators, status, challengeMode, version, row }.
+ */
+function lessonFromRow_(row, rowNumber) {
+  const status = row[5] ? row[5].toString().trim().toLowerCase() : '';
+  const challengeMode = row[6] === true || ['true', 'yes', 'on'].indexOf((row[6] || '').toString().trim().toLowerCase()) !== -1;
+  return {
+    id: row[0].toString(),
+    title: row[1].toString().trim(),
+    description: row[2] ? row[2].toString() : '',
+    owner: row[3] ? row[3].toString().trim() : '',
+    collaborators: row[4] ? row[4].toString().split(',').map(name => name.trim()).filter(name => name) : [],
+    status: LESSON_STATUSES.indexOf(status) !== -1 ? status : LESSON_STATUS_PUBLISHED,
+    challengeMode: challengeMode,
+    version: Number(row[7]) || 0, // Blank for lessons from before the column existed
+    row: rowNumber
+  };
+}
+
+/**
+ * Converts an "Images" sheet row into an image record.
+ * @param {Array} row The row values.
+ * @param {number} rowNumber The 1-based sheet row.
+ * @returns {Object} The image as { id, lessonId, order, description, url, zones, focus, row }, with zones and focus as JSON strings.
+ */
+function imageFromRow_(row, rowNumber) {
+  return {
+    id: row[0].toString(),
+    lessonId: row[1].toString(),
+    order: Number(row[2]) || 0,
+    description: row[3] ? row[3].toString() : '',
+    url: row[4] ? row[4].toString() : '',
+    zones: row[5] ? row[5].toString() : '[]',
+    focus: row[6] ? row[6].toString() : '',
+    row: rowNumber
+  };
+}
+
+/**
+ * Reads every lesson, in sheet order.
+ * @returns {Array<Object>} Lesson records (see lessonFromRow_).
+ */
+function readLessons_() {
+  const sheet = getStorageSheet_(LESSONS_SHEET_NAME, LESSONS_HEADERS);
+  if (sheet.getLastRow() < 2) {
+    return [];
+  }
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, LESSONS_HEADERS.length).getValues()
+    .map((row, i) => row[0] && row[1] ? lessonFromRow_(row, i + 2) : null)
+    .filter(lesson => lesson !== null);
+}
+
+/**
+ * Looks up a lesson by its title.
+ * @param {string} title The lesson title.
+ * @returns {Object|null} The lesson record, or null if there is no such lesson.
+ */
+function findLessonByTitle_(title) {
+  const sheet = getStorageSheet_(LESSONS_SHEET_NAME, LESSONS_HEADERS);
+  const row = findRowByValue_(sheet, 2, title);
+  if (row === -1) {
+    return null;
+  }
+  return lessonFromRow_(sheet.getRange(row, 1, 1, LESSONS_HEADERS.length).getValues()[0], row);
+}
+
+/**
+ * Reads every image row. Listing a lesson's images needs most of the sheet anyway,
+ * so one read is cheaper than a TextFinder lookup plus a read per image.
+ * @returns {Array<Object>} Image records (see imageFromRow_), in sheet order.
+ */
+function readAllImages_() {
+  const sheet = getStorageSheet_(IMAGES_SHEET_NAME, IMAGES_HEADERS);
+  if (sheet.getLastRow() < 2) {
+    return [];
+  }
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, IMAGES_HEADERS.length).getValues()
+    .map((row, i) => row[0] && row[1] ? imageFromRow_(row, i + 2) : null)
+    .filter(image => image !== null);
+}
+
+/**
+ * Gets a lesson's images in display order.
+ * @param {string} lessonId The lesson's ID.
+ * @returns {Array<Object>} Image records sorted by their Order column.
+ */
+function getLessonImages_(lessonId) {
+  return readAllImages_()
+    .filter(image => image.lessonId === lessonId)
+    .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Adds a lesson row. New lessons start as drafts so students don't see them half-built.
+ * @param {string} title The lesson title.
+ * @param {string} description The lesson description.
+ * @param {string} owner The owning username.
+ * @param {boolean} [challengeMode] Whether students find each labelled zone before exploring.
+ * @returns {Object} The new lesson record.
+ */
+function createLessonRecord_(title, description, owner, challengeMode) {
+  const sheet = getStorageSheet_(LESSONS_SHEET_NAME, LESSONS_HEADERS);
+  const row = [newRecordId_('lsn'), sanitizeCellValue_(title.trim()), sanitizeCellValue_(description), sanitizeCellValue_(owner), '', LESSON_STATUS_DRAFT, Boolean(challengeMode), 1];
+  sheet.appendRow(row);
+  return lessonFromRow_(row, sheet.getLastRow());
+}
+
+/**
+ * Writes changes to a lesson row.
+ * @param {Object} lesson The lesson record to update.
+ * @param {Object} changes Any of { title, description, owner, collaborators, status, challengeMode, version }.
+ * @returns {Object} The updated lesson record.
+ */
+function updateLessonRecord_(lesson, changes) {
+  const updated = Object.assign({}, lesson, changes);
+  getStorageSheet_(LESSONS_SHEET_NAME, LESSONS_HEADERS)
+    .getRange(lesson.row, 1, 1, LESSONS_HEADERS.length)
+    .setValues([[
+      updated.id,
+      sanitizeCellValue_(updated.title),
+      sanitizeCellValue_(updated.description),
+      sanitizeCellValue_(updated.owner),
+      sanitizeCellValue_(updated.collaborators.join(', ')),
+      updated.status,
+      Boolean(updated.challengeMode),
+      updated.version
+    ]]);
+  return updated;
+}
+
+/**
+ * Deletes a lesson row and all of its image rows.
+ * @param {Object} lesson The lesson record to delete.
+ */
+function deleteLessonRecord_(lesson) {
+  const imagesSheet = getStorageSheet_(IMAGES_SHEET_NAME, IMAGES_HEADERS);
+  // Delete from the bottom up so earlier row numbers stay valid
+  getLessonImages_(lesson.id)
+    .map(image => image.row)
+    .sort((a, b) => b - a)
+    .forEach(row => imagesSheet.deleteRow(row));
+
+  getStorageSheet_(LESSONS_SHEET_NAME, LESSONS_HEADERS).deleteRow(lesson.row);
+}
+
+/**
+ * Adds an image to the end of a lesson, or at a given order.
+ * @param {string} lessonId The lesson's ID.
+ * @param {Object} image The image as { description, url, zones, focus }, with zones and focus (optional) as JSON strings.
+ *     A restored image also passes its original id and its order.
+ * @returns {Object} The new image record.
+ */
+function addImageRecord_(lessonId, image) {
+  const sheet = getStorageSheet_(IMAGES_SHEET_NAME, IMAGES_HEADERS);
+  const existing = getLessonImages_(lessonId);
+  const order = image.order || (existing.length > 0 ? existing[existing.length - 1].order + 1 : 1);
+  const row = [image.id || newRecordId_('img'), lessonId, order, sanitizeCellValue_(image.description), image.url, image.zones || '[]', image.focus || ''];
+  sheet.appendRow(row);
+  return imageFromRow_(row, sheet.getLastRow());
+}
+
+/**
+ * Writes changes to an image row.
+ * @param {Object} image The image record to update.
+ * @param {Object} changes Any of { order, description, url, zones, focus }.
+ * @returns {Object} The updated image record.
+ */
+function updateImageRecord_(image, changes) {
+  const updated = Object.assign({}, image, changes);
+  getStorageSheet_(IMAGES_SHEET_NAME, IMAGES_HEADERS)
+    .getRange(image.row, 1, 1, IMAGES_HEADERS.length)
+    .setValues([[updated.id, updated.lessonId, updated.order, sanitizeCellValue_(updated.description), updated.url, updated.zones, updated.focus]]);
+  return updated;
+}
+
+/**
+ * Deletes an image row. The remaining images keep their order, with no gap left behind.
+ * @param {Object} image The image record to delete.
+ */
+function deleteImageRecord_(image) {
+  getStorageSheet_(IMAGES_SHEET_NAME, IMAGES_HEADERS).deleteRow(image.row);
+}
+
+/**
+ * Takes the script lock before changing the lesson or account sheets, waiting up to
+ * EDIT_LOCK_WAIT_MS for another save to finish. The lock isn't re-entrant: code holding
+ * it must not call a function that takes it again, or that call waits until it times out.
+ * Check the caller's session before taking it, so calls without one can't hold up real saves.
+ * @returns {{release: function()}} Call release() in a finally block.
+ */
+function acquireEditLock_() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(EDIT_LOCK_WAIT_MS)) {
+    throw new Error("Another teacher is saving changes right now. Please try again in a moment.");
+  }
+  return {
+    release: () => {
+      SpreadsheetApp.flush(); // Finish writing before the next save reads the sheets
+      lock.releaseLock();
+    }
+  };
+}
+
+/**
+ * Checks that a save was made against the lesson's current version.
+ * @param {Object} lesson The lesson record, read while holding the edit lock.
+ * @param {number} [expectedVersion] The version the editor loaded. Server-side callers leave it out to skip the check.
+ * @returns {Object|null} The result to return to the client if the lesson has changed, or null if the save can go ahead.
+ */
+function checkLessonVersion_(lesson, expectedVersion) {
+  if (expectedVersion === undefined || expectedVersion === null || Number(expectedVersion) === lesson.version) {
+    return null;
+  }
+  return {
+    success: false,
+    versionConflict: true,
+    version: lesson.version,
+    message: "This lesson changed since you opened it. Someone else saved changes to it in the meantime."
+  };
+}
+
+/**
+ * Records that a lesson's content changed by bumping its Version and adding a
+ * snapshot of the changed lesson to its history.
+ * @param {Object} lesson The lesson record, read while holding the edit lock.
+ * @param {string} username Who made the change.
+ * @param {string} change A short description of the change, shown in the History panel.
+ * @returns {number} The new version.
+ */
+function bumpLessonVersion_(lesson, username, change) {
+  const updated = updateLessonRecord_(lesson, { version: lesson.version + 1 });
+  recordLessonHistory_(updated, username, change);
+  return updated.version;
+}
+
+/**
+ * Parses an image's zones JSON.
+ * @param {string} zonesJson The Zones cell value.
+ * @returns {Array<Object>|null} The zones, or null if the JSON is invalid or not an array.
+ */
+function parseZones_(zonesJson) {
+  try {
+    const zones = JSON.parse(zonesJson);
+    return Array.isArray(zones) ? zones : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Parses an image's focus settings, filling in defaults and clamping values into range.
+ * @param {string|Object} focus The Focus cell value, or settings sent by the image manager.
+ * @returns {Object} The settings as { required, target, tolerance, knobs }.
+ */
+function parseFocus_(focus) {
+  let settings = focus;
+  if (typeof focus === 'string') {
+    try {
+      settings = focus ? JSON.parse(focus) : {};
+    } catch (e) {
+      settings = {};
+    }
+  }
+  settings = Object.assign({}, DEFAULT_IMAGE_FOCUS, settings || {});
+
+  const knobs = FOCUS_KNOBS.indexOf(settings.knobs) !== -1 ? settings.knobs : DEFAULT_IMAGE_FOCUS.knobs;
+  const target = Number(settings.target);
+  const tolerance = Number(settings.tolerance);
+  // The coarse knob moves in whole steps, so anything tighter needs the fine knob
+  const minTolerance = knobs === 'coarse' ? 1 : 0.2;
+  return {
+    required: settings.required !== false,
+    target: isNaN(target) ? DEFAULT_IMAGE_FOCUS.target : Math.min(100, Math.max(0, target)),
+    tolerance: isNaN(tolerance) ? DEFAULT_IMAGE_FOCUS.tolerance : Math.min(25, Math.max(minTolerance, tolerance)),
+    knobs: knobs
+  };
+}
+
+/**
+ * Upgrades legacy zone links from a positional `targetView` index to the target image's
+ * permanent `targetImageId`, so deleting or reordering images can't retarget them.
+ * Indexes that don't match an image are left as they are, so the editor can flag them as broken.
+ * Only migrateLessonDatabase calls this: it alone knows the positions targetView counted,
+ * gaps included. Everywhere else a leftover targetView is a broken link, never resolved
+ * against the current image order.
+ * @param {Array<Object>} zones The zones of one image; upgraded in place.
+ * @param {Array<string>} imageIds The lesson's image IDs, indexed the way targetView counted them.
+ * @returns {Array<Object>} The same zones array.
+ */
+function upgradeZoneTargets_(zones, imageIds) {
+  zones.forEach(zone => {
+    if (zone.targetView === undefined || zone.targetView === null || zone.targetImageId) return;
+    const targetId = imageIds[parseInt(zone.targetView, 10)];
+    if (targetId) {
+      zone.targetImageId = targetId;
+      delete zone.targetView;
+    }
+  });
+  return zones;
+}
+
+/**
+ * One-time migration from the old "Lesson Database" layout (one row per lesson with
+ * description/URL/zones column triples per image) to the "Lessons" and "Images" sheets.
+ * Owners and collaborators are carried over from the old "Lesson Access" sheet, and zone
+ * targetView links are upgraded to targetImageId. Lessons
+ * already in "Lessons" are skipped, so it is safe to run more than once. The old sheets
+ * are left untouched so they can be checked before being deleted by hand.
+ * @returns {Object} Object with success boolean and message.
+ */
+function migrateLessonDatabase() {
+  let lock = null;
+  try {
+    lock = acquireEditLock_();
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const legacySheet = spreadsheet.getSheetByName(LEGACY_LESSON_SHEET_NAME);
+    if (!legacySheet) {
+      return { success: false, message: `There is no "${LEGACY_LESSON_SHEET_NAME}" sheet to migrate.` };
+    }
+
+    const lessonsSheet = getOrCreateSheet_(LESSONS_SHEET_NAME, LESSONS_HEADERS);
+    const imagesSheet = getOrCreateSheet_(IMAGES_SHEET_NAME, IMAGES_HEADERS);
+    const existingTitles = readLessons_().map(lesson => lesson.title);
+
+    const legacyAccess = {};
+    const accessSheet = spreadsheet.getSheetByName(LEGACY_LESSON_ACCESS_SHEET_NAME);
+    if (accessSheet && accessSheet.getLastRow() > 1) {
+      accessSheet.getRange(2, 1, accessSheet.getLastRow() - 1, 3).getValues().forEach(row => {
+        if (row[0]) legacyAccess[row[0].toString().trim()] = { owner: row[1], collaborators: row[2] };
+      });
+    }
+
+    const lessonRows = [];
+    const imageRows = [];
+    const legacyRows = legacySheet.getDataRange().getValues().slice(1); // Skip header row
+
+    legacyRows.forEach(row => {
+      const title = row[0] ? row[0].toString().trim() : '';
+      if (!title || existingTitles.indexOf(title) !== -1) return;
+      existingTitles.push(title);
+
+      const lessonId = newRecordId_('lsn');
+      const access = legacyAccess[title] || { owner: '', collaborators: '' };
+      lessonRows.push([lessonId, title, row[1], access.owner, access.collaborators, LESSON_STATUS_PUBLISHED, false, 1]);
+
+      // Column B is Lesson Description, images start at C in sets of 3.
+      // Blank triples left behind by the old deleteImage are dropped.
+      const lessonImageRows = [];
+      const imageIdsByColumnSet = []; // The editor's old targetView counted column sets, gaps included
+      for (let i = 2; i < row.length; i += 3) {
+        const description = row[i];
+        const url = row[i + 1];
+        if (description && url && description.toString().trim() !== "" && url.toString().trim() !== "") {
+          const imageId = newRecordId_('img');
+          imageIdsByColumnSet[(i - 2) / 3] = imageId;
+          const zones = row[i + 2] ? row[i + 2].toString() : '[]';
+          lessonImageRows.push([imageId, lessonId, lessonImageRows.length + 1, description, url, zones, '']);
+        }
+      }
+
+      lessonImageRows.forEach(imageRow => {
+        const zones = parseZones_(imageRow[5]);
+        if (zones) {
+          imageRow[5] = JSON.stringify(upgradeZoneTargets_(zones, imageIdsByColumnSet));
+        }
+        imageRows.push(imageRow);
+      });
+    });
+
+    if (lessonRows.length > 0) {
+      lessonsSheet.getRange(lessonsSheet.getLastRow() + 1, 1, lessonRows.length, LESSONS_HEADERS.length).setValues(lessonRows);
+    }
+    if (imageRows.length > 0) {
+      imagesSheet.getRange(imagesSheet.getLastRow() + 1, 1, imageRows.length, IMAGES_HEADERS.length).setValues(imageRows);
+    }
+
+    const message = `Migrated ${lessonRows.length} lesson(s) and ${imageRows.length} image(s). ` +
+      `The "${LEGACY_LESSON_SHEET_NAME}" sheet was not changed; delete it once you've checked the new sheets.`;
+    try {
+      SpreadsheetApp.getUi().alert(message);
+    } catch (e) {
+      // Not running from the spreadsheet UI
+    }
+    return { success: true, message: message };
+
+  } catch (error) {
+    Logger.log(`Migrate lesson database error: ${error.toString()}`);
+    return { success: false, message: `Failed to migrate lessons: ${error.toString()}` };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+// ============================================================================
+// GOOGLE DRIVE INTEGRATION
+// ============================================================================
+
+/**
+ * Creates a folder in Google Drive for a lesson.
+ * @param {string} lessonTitle The title of the lesson (will be the folder name).
+ * @returns {Object} Object with success boolean, folderId, and message.
+ */
+function createLessonFolder_(lessonTitle) {
+  try {
+    // Root folder ID for lesson storage
+    const ROOT_FOLDER_ID = '1L69YbBWOi7AM_LrB5A1ENTy-AJHoTTRf';
+    const rootFolder = DriveApp.getFolderById(ROOT_FOLDER_ID);
+
+    // Check if folder already exists
+    const existingFolders = rootFolder.getFoldersByName(lessonTitle);
+    if (existingFolders.hasNext()) {
+      const existingFolder = existingFolders.next();
+      return {
+        success: true,
+        folderId: existingFolder.getId(),
+        message: "Folder already exists.",
+        isNew: false
+      };
+    }
+
+    // Create new folder
+    const newFolder = rootFolder.createFolder(lessonTitle);
+    return {
+      success: true,
+      folderId: newFolder.getId(),
+      message: "Folder created successfully.",
+      isNew: true
+    };
+
+  } catch (error) {
+    Logger.log(`Create folder error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to create folder: ${error.toString()}`
+    };
+  }
+}
+
+/**
+ * Creates a folder in Google Drive for a lesson, on behalf of a signed-in admin.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonTitle The title of the lesson (will be the folder name).
+ * @returns {Object} Object with success boolean, folderId, and message.
+ */
+function createLessonFolder(sessionToken, lessonTitle) {
+  const auth = authorizeLesson_(sessionToken, lessonTitle, 'canEdit');
+  if (auth.error) {
+    return auth.error;
+  }
+  return createLessonFolder_(lessonTitle);
+}
+
+/**
+ * Uploads a base64-encoded image to Google Drive.
+ * @param {string} base64Data The base64-encoded image data (without data URL prefix).
+ * @param {string} mimeType The MIME type of the image (e.g., 'image/png').
+ * @param {string} fileName The name for the file.
+ * @param {string} folderId The ID of the folder to upload to.
+ * @returns {Object} Object with success boolean, fileId, url, and message.
+ */
+function uploadImageToDrive_(base64Data, mimeType, fileName, folderId) {
+  try {
+    // Decode base64 to blob
+    const decodedData = Utilities.base64Decode(base64Data);
+    const blob = Utilities.newBlob(decodedData, mimeType, fileName);
+
+    // Get the folder
+    const folder = DriveApp.getFolderById(folderId);
+
+    // Create the file
+    const file = folder.createFile(blob);
+
+    // Set sharing permissions to "Anyone with link can view"
+    file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+
+    // Get the shareable URL
+    const fileId = file.getId();
+    const url = `https://drive.google.com/file/d/${fileId}/view?usp=sharing`;
+
+    return {
+      success: true,
+      fileId: fileId,
+      url: url,
+      message: "Image uploaded successfully."
+    };
+
+  } catch (error) {
+    Logger.log(`Upload image error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to upload image: ${error.toString()}`
+    };
+  }
+}
+
+/**
+ * Uploads a base64-encoded image to Google Drive, on behalf of a signed-in admin.
+ * Also used for the inset images and narration clips of detail panel zones.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} base64Data The base64-encoded image data (without data URL prefix).
+ * @param {string} mimeType The MIME type of the image (e.g., 'image/png').
+ * @param {string} fileName The name for the file.
+ * @param {string} folderId The ID of the folder to upload to.
+ * @returns {Object} Object with success boolean, fileId, url, and message.
+ */
+function uploadImageToDrive(sessionToken, base64Data, mimeType, fileName, folderId) {
+  if (!getAdminSession_(sessionToken)) {
+    return sessionRequiredResult_();
+  }
+  return uploadImageToDrive_(base64Data, mimeType, fileName, folderId);
+}
+
+/**
+ * Updates sharing permissions for a Drive file.
+ * @param {string} fileId The ID of the file.
+ * @returns {Object} Object with success boolean and message.
+ */
+function setDrivePermissions_(fileId) {
+  try {
+    const file = DriveApp.getFileById(fileId);
+    file.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+    return {
+      success: true,
+      message: "Permissions updated successfully."
+    };
+  } catch (error) {
+    Logger.log(`Set permissions error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to set permissions: ${error.toString()}`
+    };
+  }
+}
+
+// ============================================================================
 // LESSON MANAGEMENT (CRUD OPERATIONS)
 // ============================================================================
 
 /**
- * Creates a new lesson in the spreadsheet.
- * @param {string} lessonTitle The title of the lesson.
- * @param {string} lessonDescription The description of the lesson.
- * @returns {Object} Object with success boolean, rowIndex, folderId, and message.
+ * Creates a new lesson in the spreadsheet, owned by the signed-in account.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonTitle The title of the lesson.
+ * @param {string} lessonDescription The description of the lesson.
+ * @param {boolean} [challengeMode] Whether students must find each labelled zone before exploring it.
+ * @returns {Object} Object with success boolean, lessonId, folderId, and message.
+ */
+function createLesson(sessionToken, lessonTitle, lessonDescription, challengeMode) {
+  let lock = null;
+  try {
+    const session = getAdminSession_(sessionToken);
+    if (!session) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+
+    // Check if lesson already exists
+    if (findLessonByTitle_(lessonTitle)) {
+      return {
+        success: false,
+        message: "A lesson with this title already exists."
+      };
+    }
+
+    // Create folder in Drive
+    const folderResult = createLessonFolder_(lessonTitle);
+    if (!folderResult.success) {
+      return folderResult;
+    }
+
+    // The creator owns the lesson
+    const lesson = createLessonRecord_(lessonTitle, lessonDescription, session.username, challengeMode);
+    recordLessonHistory_(lesson, session.username, 'Created the lesson');
+
+    return {
+      success: true,
+      lessonId: lesson.id,
+      folderId: folderResult.folderId,
+      message: "Lesson created successfully."
+    };
+
+  } catch (error) {
+    Logger.log(`Create lesson error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to create lesson: ${error.toString()}`
+    };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Updates a lesson's image data in the spreadsheet, or adds the image if
+ * imageIndex is one past the lesson's last image.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson.
+ * @param {number} imageIndex The position of the image in the lesson (0-based).
+ * @param {string} imageDescription The description of the image.
+ * @param {string} imageUrl The URL of the image in Drive.
+ * @param {string} zonesJson The JSON string containing zone data.
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the save is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean, imageId, the lesson's new version, and message; versionConflict if the lesson changed since it was loaded.
+ */
+function updateLessonImage(sessionToken, lessonName, imageIndex, imageDescription, imageUrl, zonesJson, expectedVersion) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
+    recordLessonBaseline_(auth.lesson);
+
+    const images = getLessonImages_(auth.lesson.id);
+    const fields = { description: imageDescription, url: imageUrl, zones: zonesJson };
+    const isNewImage = imageIndex >= images.length;
+    const image = isNewImage
+      ? addImageRecord_(auth.lesson.id, fields)
+      : updateImageRecord_(images[imageIndex], fields);
+    const change = isNewImage ? `Added image ${images.length + 1}` : `Saved image ${imageIndex + 1} and its zones`;
+
+    return {
+      success: true,
+      imageId: image.id,
+      version: bumpLessonVersion_(auth.lesson, auth.session.username, change),
+      message: "Lesson image updated successfully."
+    };
+
+  } catch (error) {
+    Logger.log(`Update lesson image error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to update lesson image: ${error.toString()}`
+    };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Gets all data for a lesson for editing purposes.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson.
+ * @returns {Object} Lesson data with images array or error.
+ */
+function getLessonForEditing(sessionToken, lessonName) {
+  try {
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+
+    const images = getLessonImages_(auth.lesson.id);
+
+    const lessonData = {
+      id: auth.lesson.id,
+      title: auth.lesson.title,
+      description: auth.lesson.description,
+      challengeMode: auth.lesson.challengeMode,
+      version: auth.lesson.version,
+      images: images.map((image, index) => ({
+        id: image.id,
+        index: index,
+        description: image.description,
+        url: convertGoogleDriveUrl(image.url),
+        zones: image.zones,
+        focus: parseFocus_(image.focus)
+      }))
+    };
+
+    return {
+      success: true,
+      data: lessonData
+    };
+
+  } catch (error) {
+    Logger.log(`Get lesson for editing error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to get lesson data: ${error.toString()}`
+    };
+  }
+}
+
+/**
+ * Extracts file ID from a Google Drive URL.
+ * @param {string} url The Google Drive URL.
+ * @returns {string|null} The file ID or null if not found.
+ */
+function extractFileIdFromUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+  const fileIdMatch = url.match(/drive\.google\.com\/(?:file\/d\/|open\?id=|thumbnail\?id=)([a-zA-Z0-9_-]+)/);
+  return fileIdMatch ? fileIdMatch[1] : null;
+}
+
+/**
+ * Gets the folder ID for a lesson.
+ * @param {string} lessonTitle The title of the lesson.
+ * @returns {Object} Object with success boolean, folderId, and message.
+ */
+function getLessonFolderId_(lessonTitle) {
+  try {
+    const ROOT_FOLDER_ID = '1L69YbBWOi7AM_LrB5A1ENTy-AJHoTTRf';
+    const rootFolder = DriveApp.getFolderById(ROOT_FOLDER_ID);
+
+    const existingFolders = rootFolder.getFoldersByName(lessonTitle);
+    if (existingFolders.hasNext()) {
+      const folder = existingFolders.next();
+      return {
+        success: true,
+        folderId: folder.getId(),
+        message: "Folder found."
+      };
+    }
+
+    return {
+      success: false,
+      message: "Folder not found for this lesson."
+    };
+  } catch (error) {
+    Logger.log(`Get lesson folder error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to get folder: ${error.toString()}`
+    };
+  }
+}
+
+/**
+ * Gets the folder ID for a lesson, on behalf of a signed-in admin.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonTitle The title of the lesson.
+ * @returns {Object} Object with success boolean, folderId, and message.
+ */
+function getLessonFolderId(sessionToken, lessonTitle) {
+  const auth = authorizeLesson_(sessionToken, lessonTitle, 'canEdit');
+  if (auth.error) {
+    return auth.error;
+  }
+  return getLessonFolderId_(lessonTitle);
+}
+
+/**
+ * Sets how the focusing exercise works for one image.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson.
+ * @param {number} imageIndex The position of the image in the lesson (0-based).
+ * @param {Object} focus The settings as { required, target, tolerance, knobs }; out-of-range values are clamped.
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the save is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean, the saved focus settings, the lesson's new version, and message; versionConflict if the lesson changed since it was loaded.
+ */
+function setImageFocus(sessionToken, lessonName, imageIndex, focus, expectedVersion) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
+    recordLessonBaseline_(auth.lesson);
+
+    const image = getLessonImages_(auth.lesson.id)[imageIndex];
+    if (!image) {
+      return { success: false, message: "Image not found." };
+    }
+
+    const settings = parseFocus_(focus);
+    updateImageRecord_(image, { focus: JSON.stringify(settings) });
+
+    return {
+      success: true,
+      focus: settings,
+      version: bumpLessonVersion_(auth.lesson, auth.session.username, `Changed the focus settings of image ${imageIndex + 1}`),
+      message: "Focus settings saved."
+    };
+
+  } catch (error) {
+    Logger.log(`Set image focus error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to save focus settings: ${error.toString()}`
+    };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Points one zone at a different image, for the lesson map. Zones that show a banner,
+ * detail panel or quiz don't navigate, so they can't be given a target here.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson.
+ * @param {string} imageId The ID of the image the zone is on.
+ * @param {number} zoneIndex The zone's position in that image's zones (0-based).
+ * @param {string} targetImageId The ID of the image the zone should open.
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the save is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean, the image's updated zones JSON, the lesson's new version, and message; versionConflict if the lesson changed since it was loaded.
+ */
+function setZoneTarget(sessionToken, lessonName, imageId, zoneIndex, targetImageId, expectedVersion) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
+    recordLessonBaseline_(auth.lesson);
+
+    const images = getLessonImages_(auth.lesson.id);
+    const image = images.find(img => img.id === imageId);
+    if (!image) {
+      return { success: false, message: "Image not found." };
+    }
+    if (targetImageId === imageId || !images.some(img => img.id === targetImageId)) {
+      return { success: false, message: "A zone can only link to another image in the same lesson." };
+    }
+
+    const zones = parseZones_(image.zones);
+    const zone = zones ? zones[zoneIndex] : null;
+    if (!zone) {
+      return { success: false, message: "Zone not found." };
+    }
+    if (['banner', 'panel', 'quiz'].indexOf(zone.actionType) !== -1) {
+      return { success: false, message: `This zone shows a ${zone.actionType}, so it doesn't link to an image.` };
+    }
+
+    delete zone.targetView;
+    zone.targetImageId = targetImageId;
+
+    const zonesJson = JSON.stringify(zones);
+    updateImageRecord_(image, { zones: zonesJson });
+
+    return {
+      success: true,
+      zones: zonesJson,
+      version: bumpLessonVersion_(auth.lesson, auth.session.username, `Relinked a zone on image ${images.indexOf(image) + 1} from the lesson map`),
+      message: "Zone link updated."
+    };
+
+  } catch (error) {
+    Logger.log(`Set zone target error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to update zone link: ${error.toString()}`
+    };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Edits an image's title and description in the spreadsheet.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson.
+ * @param {number} imageIndex The position of the image in the lesson (0-based).
+ * @param {string} newDescription The new description for the image.
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the save is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean, the lesson's new version, and message; versionConflict if the lesson changed since it was loaded.
+ */
+function editImageMetadata(sessionToken, lessonName, imageIndex, newDescription, expectedVersion) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
+    recordLessonBaseline_(auth.lesson);
+
+    const image = getLessonImages_(auth.lesson.id)[imageIndex];
+    if (!image) {
+      return { success: false, message: "Image not found." };
+    }
+
+    updateImageRecord_(image, { description: newDescription });
+
+    return {
+      success: true,
+      version: bumpLessonVersion_(auth.lesson, auth.session.username, `Renamed image ${imageIndex + 1}`),
+      message: "Image description updated successfully."
+    };
+
+  } catch (error) {
+    Logger.log(`Edit image metadata error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to edit image: ${error.toString()}`
+    };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Replaces an image by deleting the old one from Drive and uploading the new one.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson.
+ * @param {number} imageIndex The position of the image to replace (0-based).
+ * @param {string} base64Data The base64-encoded new image data.
+ * @param {string} mimeType The MIME type of the new image.
+ * @param {string} fileName The name for the new file.
+ * @param {string} imageDescription The description for the image.
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the save is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean, new URL, the lesson's new version, and message; versionConflict if the lesson changed since it was loaded.
+ */
+function replaceImage(sessionToken, lessonName, imageIndex, base64Data, mimeType, fileName, imageDescription, expectedVersion) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
+    recordLessonBaseline_(auth.lesson);
+
+    const image = getLessonImages_(auth.lesson.id)[imageIndex];
+    if (!image) {
+      return { success: false, message: "Image not found." };
+    }
+    const oldUrl = image.url;
+
+    // Get folder ID for the lesson
+    const folderResult = getLessonFolderId_(lessonName);
+    if (!folderResult.success) {
+      return folderResult;
+    }
+
+    // Delete old file from Drive if it exists
+    if (oldUrl) {
+      const oldFileId = extractFileIdFromUrl(oldUrl);
+      if (oldFileId) {
+        try {
+          const oldFile = DriveApp.getFileById(oldFileId);
+          oldFile.setTrashed(true);
+          Logger.log(`Deleted old file: ${oldFileId}`);
+        } catch (e) {
+          Logger.log(`Could not delete old file ${oldFileId}: ${e.toString()}`);
+          // Continue anyway - the file might already be deleted
+        }
+      }
+    }
+
+    // Upload new image
+    const uploadResult = uploadImageToDrive_(base64Data, mimeType, fileName, folderResult.folderId);
+    if (!uploadResult.success) {
+      return uploadResult;
+    }
+
+    // Update spreadsheet with new URL and description
+    updateImageRecord_(image, { description: imageDescription, url: uploadResult.url });
+
+    return {
+      success: true,
+      url: uploadResult.url,
+      version: bumpLessonVersion_(auth.lesson, auth.session.username, `Replaced the file of image ${imageIndex + 1}`),
+      fileId: uploadResult.fileId,
+      message: "Image replaced successfully."
+    };
+
+  } catch (error) {
+    Logger.log(`Replace image error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to replace image: ${error.toString()}`
+    };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Deletes an image from both the spreadsheet and Google Drive.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson.
+ * @param {number} imageIndex The position of the image to delete (0-based).
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the save is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean, the lesson's new version, and message; versionConflict if the lesson changed since it was loaded.
+ */
+function deleteImage(sessionToken, lessonName, imageIndex, expectedVersion) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
+    recordLessonBaseline_(auth.lesson);
+
+    const image = getLessonImages_(auth.lesson.id)[imageIndex];
+    if (!image) {
+      return { success: false, message: "Image not found." };
+    }
+    const imageUrl = image.url;
+
+    // Delete file from Drive
+    if (imageUrl) {
+      const fileId = extractFileIdFromUrl(imageUrl);
+      if (fileId) {
+        try {
+          const file = DriveApp.getFileById(fileId);
+          file.setTrashed(true);
+          Logger.log(`Deleted file from Drive: ${fileId}`);
+        } catch (e) {
+          Logger.log(`Could not delete file ${fileId}: ${e.toString()}`);
+          // Continue anyway - the file might already be deleted
+        }
+      }
+    }
+
+    // Remove the image row; later images move up with no gap left behind
+    deleteImageRecord_(image);
+
+    return {
+      success: true,
+      version: bumpLessonVersion_(auth.lesson, auth.session.username, `Deleted image ${imageIndex + 1} ("${image.description}")`),
+      message: "Image deleted successfully from spreadsheet and Drive."
+    };
+
+  } catch (error) {
+    Logger.log(`Delete image error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to delete image: ${error.toString()}`
+    };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Rewrites the display order of a lesson's images in one locked update.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson.
+ * @param {Array<string>} imageIds Every one of the lesson's image IDs, in the new order.
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the save is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean, the lesson's new version, and message; versionConflict if the lesson changed since it was loaded.
+ */
+function reorderImages(sessionToken, lessonName, imageIds, expectedVersion) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
+    }
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
+    recordLessonBaseline_(auth.lesson);
+
+    const images = getLessonImages_(auth.lesson.id);
+    const currentIds = images.map(image => image.id);
+    const sameImages = imageIds.length === currentIds.length &&
+      new Set(imageIds).size === currentIds.length &&
+      imageIds.every(id => currentIds.indexOf(id) !== -1);
+    if (!sameImages) {
+      return {
+        success: false,
+        message: "This lesson's images changed while you were reordering. Reload the lesson and try again."
+      };
+    }
+
+    // Write the whole Order column back at once; other lessons' rows are unchanged
+    const sheet = getStorageSheet_(IMAGES_SHEET_NAME, IMAGES_HEADERS);
+    const orderRange = sheet.getRange(2, IMAGES_HEADERS.indexOf('Order') + 1, sheet.getLastRow() - 1, 1);
+    const orders = orderRange.getValues();
+    images.forEach(image => {
+      orders[image.row - 2][0] = imageIds.indexOf(image.id) + 1;
+    });
+    orderRange.setValues(orders);
+
+    return {
+      success: true,
+      version: bumpLessonVersion_(auth.lesson, auth.session.username, 'Reordered the images'),
+      message: "Image order saved."
+    };
+
+  } catch (error) {
+    Logger.log(`Reorder images error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to reorder images: ${error.toString()}`
+    };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+/**
+ * Deletes an entire lesson from both the spreadsheet and Google Drive.
+ * This will remove the lesson and its image rows from the spreadsheet and delete the lesson's folder
+ * (including all images) from Google Drive.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson to delete.
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the save is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean and message; versionConflict if the lesson changed since it was loaded.
+ */
+function deleteLesson(sessionToken, lessonName, expectedVersion) {
+  let lock = null;
+  try {
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
+    }
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canDelete');
+    if (auth.error) {
+      return auth.error;
+    }
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
+    }
+
+    // Get the folder for this lesson
+    const folderResult = getLessonFolderId_(lessonName);
+    if (folderResult.success) {
+      try {
+        const folder = DriveApp.getFolderById(folderResult.folderId);
+
+        // Delete all files in the folder
+        const files = folder.getFiles();
+        let fileCount = 0;
+        while (files.hasNext()) {
+          const file = files.next();
+          try {
+            file.setTrashed(true);
+            fileCount++;
+            Logger.log(`Deleted file: ${file.getName()} (${file.getId()})`);
+          } catch (e) {
+            Logger.log(`Could not delete file ${file.getId()}: ${e.toString()}`);
+            // Continue with other files
+          }
+        }
+
+        // Delete the folder itself
+        folder.setTrashed(true);
+        Logger.log(`Deleted lesson folder: ${lessonName} (${folderResult.folderId}) with ${fileCount} files`);
+
+      } catch (e) {
+        Logger.log(`Error deleting Drive folder: ${e.toString()}`);
+        // Continue to delete the spreadsheet row even if Drive deletion fails
+      }
+    } else {
+      Logger.log(`Folder not found for lesson: ${lessonName}. Proceeding with spreadsheet deletion only.`);
+    }
+
+    // Delete the lesson and image rows from the spreadsheet
+    deleteLessonRecord_(auth.lesson);
+    Logger.log(`Deleted lesson ${auth.lesson.id}: ${lessonName}`);
+
+    return {
+      success: true,
+      message: "Lesson deleted successfully from spreadsheet and Drive."
+    };
+
+  } catch (error) {
+    Logger.log(`Delete lesson error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to delete lesson: ${error.toString()}`
+    };
+  } finally {
+    if (lock) lock.release();
+  }
+}
+
+// ============================================================================
+// LESSON EXPORT, IMPORT & DUPLICATION
+// ============================================================================
+
+const LESSON_PACKAGE_FORMAT = 'anatomy-lab-lesson';
+const LESSON_PACKAGE_VERSION = 1;
+
+/**
+ * Builds the result returned when a new lesson's title is already taken, with a
+ * free "Title (n)" suggestion the caller can offer instead.
+ * @param {string} title The title that is taken.
+ * @returns {Object} Object with success false, nameConflict, suggestedTitle, and message.
+ */
+function lessonTitleConflictResult_(title) {
+  let suffix = 2;
+  while (findLessonByTitle_(`${title} (${suffix})`)) {
+    suffix++;
+  }
+  return {
+    success: false,
+    nameConflict: true,
+    suggestedTitle: `${title} (${suffix})`,
+    message: `A lesson called "${title}" already exists.`
+  };
+}
+
+/**
+ * Reads an image's bytes from Drive, or fetches it if it isn't a Drive link.
+ * @param {string} url The image URL as stored in the "Images" sheet.
+ * @returns {GoogleAppsScript.Base.Blob} The image blob.
+ */
+function getImageBlob_(url) {
+  const fileId = extractFileIdFromUrl(url);
+  if (fileId) {
+    return DriveApp.getFileById(fileId).getBlob();
+  }
+  const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true });
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`HTTP ${response.getResponseCode()}`);
+  }
+  return response.getBlob();
+}
+
+/**
+ * Lists the Drive files that detail panel zones use for their inset images and narration.
+ * @param {Array<Object>} zones Zones from any number of images.
+ * @returns {Array<string>} Drive file IDs, without duplicates.
+ */
+function getPanelMediaFileIds_(zones) {
+  const fileIds = [];
+  zones.forEach(zone => {
+    [zone.panelImageUrl, zone.panelAudioUrl].forEach(url => {
+      const fileId = extractFileIdFromUrl(url);
+      if (fileId && fileIds.indexOf(fileId) === -1) {
+        fileIds.push(fileId);
+      }
+    });
+  });
+  return fileIds;
+}
+
+/**
+ * Bundles a lesson into a self-contained package: title, description, settings, every
+ * image's bytes, description and zones, and the files detail panels use. Images that can't
+ * be read are listed in missingImages (and kept in the package without data) rather than
+ * dropped; panel files that can't be read are left out, so imports keep linking to them.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson to export.
+ * @returns {Object} Object with success boolean, fileName, content (the package JSON), missingImages array, and message.
  */
-function createLesson(lessonTitle, lessonDescription) {
+function exportLesson(sessionToken, lessonName) {
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      return { success: false, message: "Lesson Database sheet not found." };
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
     }
 
-    // Check if lesson already exists
-    const data = sheet.getDataRange().getValues();
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] && data[i][0].toString().trim() === lessonTitle.trim()) {
-        return {
-          success: false,
-          message: "A lesson with this title already exists."
-        };
+    const missingImages = [];
+    const lessonImages = getLessonImages_(auth.lesson.id);
+    const images = lessonImages.map((image, index) => {
+      const entry = {
+        id: image.id,
+        description: image.description,
+        zones: parseZones_(image.zones) || [],
+        focus: parseFocus_(image.focus),
+        fileName: null,
+        mimeType: null,
+        data: null
+      };
+
+      try {
+        const blob = getImageBlob_(image.url);
+        entry.fileName = blob.getName();
+        entry.mimeType = blob.getContentType();
+        entry.data = Utilities.base64Encode(blob.getBytes());
+      } catch (e) {
+        Logger.log(`Export could not read image ${image.id}: ${e.toString()}`);
+        missingImages.push({ imageNumber: index + 1, description: image.description, reason: e.message });
+      }
+      return entry;
+    });
+
+    const media = [];
+    getPanelMediaFileIds_([].concat(...images.map(image => image.zones))).forEach(fileId => {
+      try {
+        const blob = DriveApp.getFileById(fileId).getBlob();
+        media.push({
+          fileId: fileId,
+          fileName: blob.getName(),
+          mimeType: blob.getContentType(),
+          data: Utilities.base64Encode(blob.getBytes())
+        });
+      } catch (e) {
+        Logger.log(`Export could not read panel file ${fileId}: ${e.toString()}`);
       }
+    });
+
+    const lessonPackage = {
+      format: LESSON_PACKAGE_FORMAT,
+      version: LESSON_PACKAGE_VERSION,
+      exportedAt: new Date().toISOString(),
+      title: auth.lesson.title,
+      description: auth.lesson.description,
+      challengeMode: auth.lesson.challengeMode,
+      images: images,
+      media: media
+    };
+
+    return {
+      success: true,
+      fileName: `${auth.lesson.title.replace(/[^\w\- ]+/g, '').trim() || 'lesson'}.lesson.json`,
+      content: JSON.stringify(lessonPackage),
+      missingImages: missingImages,
+      message: "Lesson exported."
+    };
+
+  } catch (error) {
+    Logger.log(`Export lesson error: ${error.toString()}`);
+    return {
+      success: false,
+      message: `Failed to export lesson: ${error.toString()}`
+    };
+  }
+}
+
+/**
+ * Saves a whole new lesson, with all its images and zones, in one locked update, so an
+ * import or duplicate never leaves a half-built lesson behind. Drive files are uploaded or
+ * copied beforehand, outside the lock, so other teachers' saves aren't held up by them.
+ * @param {string} owner The username that will own the lesson.
+ * @param {string} title The new lesson's title.
+ * @param {string} description The lesson description.
+ * @param {boolean} challengeMode Whether challenge mode is on.
+ * @param {Array<Object>} images The images in order, as { id, description, url, zones, focus } with zones and focus as JSON strings.
+ * @param {string} change How the lesson came about, for its first history entry.
+ * @returns {Object} Object with success boolean; the title conflict result if the title was taken in the meantime.
+ */
+function createLessonWithImages_(owner, title, description, challengeMode, images, change) {
+  const lock = acquireEditLock_();
+  try {
+    if (findLessonByTitle_(title)) {
+      return lessonTitleConflictResult_(title);
+    }
+    const lesson = createLessonRecord_(title, description, owner, challengeMode);
+    images.forEach((image, index) => {
+      addImageRecord_(lesson.id, Object.assign({ order: index + 1 }, image));
+    });
+    recordLessonHistory_(lesson, owner, change);
+    return { success: true };
+  } finally {
+    lock.release();
+  }
+}
+
+/**
+ * Moves the Drive files an import or duplicate made to the trash when the lesson couldn't
+ * be saved. The lesson folder is only trashed if it was created for this lesson.
+ * @param {{folder: ?Object, fileIds: Array<string>}} newFiles The createLessonFolder_ result and the new file IDs.
+ */
+function discardNewLessonFiles_(newFiles) {
+  newFiles.fileIds.forEach(fileId => {
+    try {
+      DriveApp.getFileById(fileId).setTrashed(true);
+    } catch (e) {
+      Logger.log(`Could not trash file ${fileId}: ${e.toString()}`);
     }
+  });
+  if (newFiles.folder && newFiles.folder.isNew) {
+    try {
+      DriveApp.getFolderById(newFiles.folder.folderId).setTrashed(true);
+    } catch (e) {
+      Logger.log(`Could not trash folder ${newFiles.folder.folderId}: ${e.toString()}`);
+    }
+  }
+}
 
-    // Create folder in Drive
-    const folderResult = createLessonFolder(lessonTitle);
-    if (!folderResult.success) {
-      return folderResult;
+/**
+ * Rebuilds a lesson from an exported package in this deployment's root folder, owned by
+ * the importing account. Zone links are remapped to the new image IDs.
+ * If the title is already taken, nothing is created and the result has nameConflict set,
+ * so the caller can ask for a different title and try again.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} packageJson The contents of a file produced by exportLesson.
+ * @param {string} [newTitle] A title to use instead of the one in the package.
+ * @returns {Object} Object with success boolean, lessonTitle, warnings array, and message; nameConflict and suggestedTitle when the title is taken.
+ */
+function importLesson(sessionToken, packageJson, newTitle) {
+  const newFiles = { folder: null, fileIds: [] };
+  try {
+    const session = getAdminSession_(sessionToken);
+    if (!session) {
+      return sessionRequiredResult_();
     }
 
-    // Find the first empty row
-    const lastRow = sheet.getLastRow();
-    const newRow = lastRow + 1;
+    let lessonPackage;
+    try {
+      lessonPackage = JSON.parse(packageJson);
+    } catch (e) {
+      return { success: false, message: "That file isn't a lesson export (it isn't valid JSON)." };
+    }
+    if (!lessonPackage || lessonPackage.format !== LESSON_PACKAGE_FORMAT || !Array.isArray(lessonPackage.images)) {
+      return { success: false, message: "That file isn't a lesson export." };
+    }
+    if (lessonPackage.version > LESSON_PACKAGE_VERSION) {
+      return { success: false, message: "That lesson was exported by a newer version of the app. Update this deployment and try again." };
+    }
+
+    const title = (newTitle || lessonPackage.title || '').toString().trim();
+    if (!title) {
+      return { success: false, nameConflict: true, suggestedTitle: '', message: "The lesson needs a title." };
+    }
+    if (findLessonByTitle_(title)) {
+      return lessonTitleConflictResult_(title);
+    }
+
+    newFiles.folder = createLessonFolder_(title);
+    if (!newFiles.folder.success) {
+      return newFiles.folder;
+    }
+    const folderId = newFiles.folder.folderId;
+
+    // Upload every image first, giving each its new ID so zone links can be remapped before anything is saved
+    const warnings = [];
+    const imageIdMap = {};
+    const imported = [];
+    lessonPackage.images.forEach((image, index) => {
+      const imageNumber = index + 1;
+      if (!image.data) {
+        warnings.push(`Image ${imageNumber} ("${image.description}") was missing from the export and was skipped.`);
+        return;
+      }
+
+      const fileName = image.fileName || `image_${imageNumber}_${Date.now()}`;
+      const uploadResult = uploadImageToDrive_(image.data, image.mimeType || 'image/png', fileName, folderId);
+      if (!uploadResult.success) {
+        warnings.push(`Image ${imageNumber} ("${image.description}") could not be uploaded: ${uploadResult.message}`);
+        return;
+      }
+      newFiles.fileIds.push(uploadResult.fileId);
+
+      imageIdMap[image.id] = newRecordId_('img');
+      imported.push({ image: image, url: uploadResult.url });
+    });
+
+    // Detail panel images and narration; any that weren't in the package keep their original links
+    const mediaUrls = {};
+    (Array.isArray(lessonPackage.media) ? lessonPackage.media : []).forEach(file => {
+      if (!file.data) return;
+      const uploadResult = uploadImageToDrive_(file.data, file.mimeType || 'application/octet-stream', file.fileName || `panel_${Date.now()}`, folderId);
+      if (uploadResult.success) {
+        newFiles.fileIds.push(uploadResult.fileId);
+        mediaUrls[file.fileId] = uploadResult.url;
+      } else {
+        warnings.push(`A detail panel file ("${file.fileName}") could not be uploaded, so it still links to the original: ${uploadResult.message}`);
+      }
+    });
+    const remapMedia = (url) => mediaUrls[extractFileIdFromUrl(url)] || url;
+
+    const images = imported.map(entry => {
+      const zones = (Array.isArray(entry.image.zones) ? entry.image.zones : []).map(zone => {
+        if (zone.targetImageId && !imageIdMap[zone.targetImageId]) {
+          warnings.push(`A zone on "${entry.image.description}" linked to an image that wasn't imported. It is flagged in the zone editor.`);
+        }
+        const remapped = zone.targetImageId && imageIdMap[zone.targetImageId]
+          ? Object.assign({}, zone, { targetImageId: imageIdMap[zone.targetImageId] })
+          : Object.assign({}, zone);
+        if (remapped.panelImageUrl) remapped.panelImageUrl = remapMedia(remapped.panelImageUrl);
+        if (remapped.panelAudioUrl) remapped.panelAudioUrl = remapMedia(remapped.panelAudioUrl);
+        return remapped;
+      });
+      return {
+        id: imageIdMap[entry.image.id],
+        description: entry.image.description,
+        url: entry.url,
+        zones: JSON.stringify(zones),
+        focus: entry.image.focus ? JSON.stringify(parseFocus_(entry.image.focus)) : ''
+      };
+    });
 
-    // Write lesson title and description
-    sheet.getRange(newRow, 1).setValue(lessonTitle);
-    sheet.getRange(newRow, 2).setValue(lessonDescription);
+    const createResult = createLessonWithImages_(session.username, title, lessonPackage.description || '',
+      Boolean(lessonPackage.challengeMode), images, 'Imported the lesson from an export file');
+    if (!createResult.success) {
+      discardNewLessonFiles_(newFiles);
+      return createResult;
+    }
 
     return {
       success: true,
-      rowIndex: newRow,
-      folderId: folderResult.folderId,
-      message: "Lesson created successfully."
+      lessonTitle: title,
+      warnings: warnings,
+      message: `Imported "${title}" with ${imported.length} of ${lessonPackage.images.length} image(s).`
     };
 
   } catch (error) {
-    Logger.log(`Create lesson error: ${error.toString()}`);
+    Logger.log(`Import lesson error: ${error.toString()}`);
+    discardNewLessonFiles_(newFiles);
     return {
       success: false,
-      message: `Failed to create lesson: ${error.toString()}`
+      message: `Failed to import lesson: ${error.toString()}`
     };
   }
 }
 
 /**
- * Updates a lesson's image data in the spreadsheet.
- * @param {string} lessonName The name of the lesson.
- * @param {number} imageIndex The index of the image (0-based).
- * @param {string} imageDescription The description of the image.
- * @param {string} imageUrl The URL of the image in Drive.
- * @param {string} zonesJson The JSON string containing zone data.
- * @returns {Object} Object with success boolean and message.
+ * Copies a lesson under a new title, owned by the signed-in account. Each Drive image, and
+ * each file a detail panel uses, is copied into the new lesson's folder, and references to
+ * the old files and image IDs in the copied descriptions and zones are rewritten to point
+ * at the copies. Images that aren't Drive files, or can't be copied, keep their original
+ * URL and are reported.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson to copy.
+ * @param {string} newTitle The title for the copy.
+ * @returns {Object} Object with success boolean, lessonTitle, warnings array, and message; nameConflict and suggestedTitle when the title is taken.
  */
-function updateLessonImage(lessonName, imageIndex, imageDescription, imageUrl, zonesJson) {
+function duplicateLesson(sessionToken, lessonName, newTitle) {
+  const newFiles = { folder: null, fileIds: [] };
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      return { success: false, message: "Lesson Database sheet not found." };
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
     }
 
-    // Find the lesson row
-    const data = sheet.getDataRange().getValues();
-    let lessonRow = -1;
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] && data[i][0].toString().trim() === lessonName.trim()) {
-        lessonRow = i + 1; // Convert to 1-based index
-        break;
-      }
+    const title = (newTitle || '').toString().trim();
+    if (!title || findLessonByTitle_(title)) {
+      return lessonTitleConflictResult_(title || `${auth.lesson.title} (Copy)`);
     }
 
-    if (lessonRow === -1) {
-      return { success: false, message: "Lesson not found." };
+    newFiles.folder = createLessonFolder_(title);
+    if (!newFiles.folder.success) {
+      return newFiles.folder;
     }
+    const folder = DriveApp.getFolderById(newFiles.folder.folderId);
+
+    // Copy the files first so every old ID has a replacement before any text is rewritten
+    const warnings = [];
+    const replacements = {};
+    const sourceImages = getLessonImages_(auth.lesson.id);
+    const copyFile = (fileId) => {
+      const sourceFile = DriveApp.getFileById(fileId);
+      const copiedFile = sourceFile.makeCopy(sourceFile.getName(), folder);
+      copiedFile.setSharing(DriveApp.Access.ANYONE_WITH_LINK, DriveApp.Permission.VIEW);
+      newFiles.fileIds.push(copiedFile.getId());
+      replacements[fileId] = copiedFile.getId();
+      return copiedFile.getId();
+    };
+    const copies = sourceImages.map((image, index) => {
+      const fileId = extractFileIdFromUrl(image.url);
+      if (!fileId) {
+        warnings.push(`Image ${index + 1} ("${image.description}") isn't a Drive file, so the copy links to the same image.`);
+        return { image: image, url: image.url };
+      }
+
+      try {
+        return { image: image, url: `https://drive.google.com/file/d/${copyFile(fileId)}/view?usp=sharing` };
+      } catch (e) {
+        Logger.log(`Duplicate could not copy image ${image.id}: ${e.toString()}`);
+        warnings.push(`Image ${index + 1} ("${image.description}") could not be copied, so the copy links to the original: ${e.message}`);
+        return { image: image, url: image.url };
+      }
+    });
+
+    getPanelMediaFileIds_([].concat(...sourceImages.map(image => parseZones_(image.zones) || []))).forEach(fileId => {
+      try {
+        copyFile(fileId);
+      } catch (e) {
+        Logger.log(`Duplicate could not copy panel file ${fileId}: ${e.toString()}`);
+        warnings.push(`A detail panel's image or narration could not be copied, so the copy links to the original: ${e.message}`);
+      }
+    });
 
-    // Calculate column indices
-    // Column A (index 1) = Lesson Title
-    // Column B (index 2) = Lesson Description
-    // Column C (index 3) = Image 1 Description
-    // Column D (index 4) = Image 1 URL
-    // Column E (index 5) = Image 1 Zones
-    // Each subsequent image adds 3 columns
-    const baseColumn = 3 + (imageIndex * 3);
-    const descColumn = baseColumn;
-    const urlColumn = baseColumn + 1;
-    const zonesColumn = baseColumn + 2;
+    const rewriteFileIds = (text) => Object.keys(replacements)
+      .reduce((result, oldId) => result.split(oldId).join(replacements[oldId]), text || '');
+
+    // Zone links point at image IDs, which are new in the copy; focus settings come across unchanged
+    const imageIdMap = {};
+    sourceImages.forEach(image => {
+      imageIdMap[image.id] = newRecordId_('img');
+    });
+    const images = copies.map(copy => {
+      const zones = (parseZones_(copy.image.zones) || []).map(zone => zone.targetImageId && imageIdMap[zone.targetImageId]
+        ? Object.assign({}, zone, { targetImageId: imageIdMap[zone.targetImageId] })
+        : zone);
+      return {
+        id: imageIdMap[copy.image.id],
+        description: rewriteFileIds(copy.image.description),
+        url: copy.url,
+        zones: rewriteFileIds(JSON.stringify(zones)),
+        focus: copy.image.focus
+      };
+    });
 
-    // Update the cells
-    sheet.getRange(lessonRow, descColumn).setValue(imageDescription);
-    sheet.getRange(lessonRow, urlColumn).setValue(imageUrl);
-    sheet.getRange(lessonRow, zonesColumn).setValue(zonesJson);
+    const createResult = createLessonWithImages_(auth.session.username, title, auth.lesson.description,
+      auth.lesson.challengeMode, images, `Copied from "${auth.lesson.title}"`);
+    if (!createResult.success) {
+      discardNewLessonFiles_(newFiles);
+      return createResult;
+    }
 
     return {
       success: true,
-      message: "Lesson image updated successfully."
+      lessonTitle: title,
+      warnings: warnings,
+      message: `Created "${title}" as a copy of "${auth.lesson.title}".`
     };
 
   } catch (error) {
-    Logger.log(`Update lesson image error: ${error.toString()}`);
+    Logger.log(`Duplicate lesson error: ${error.toString()}`);
+    discardNewLessonFiles_(newFiles);
     return {
       success: false,
-      message: `Failed to update lesson image: ${error.toString()}`
+      message: `Failed to duplicate lesson: ${error.toString()}`
     };
   }
 }
 
+// ============================================================================
+// LESSON HISTORY
+// ============================================================================
+// Every change to a lesson's description, settings, images or zones adds a row to the
+// "Lesson History" sheet with the lesson's new Version, who made the change, and a JSON
+// snapshot of the whole lesson afterwards. A snapshot is split across the Snapshot column
+// and the unlabelled columns after it, since one cell holds at most 50,000 characters.
+// The first change to a lesson from before history was kept also records how it was
+// beforehand, so that state can be restored too.
+
+const HISTORY_SHEET_NAME = "Lesson History";
+const HISTORY_HEADERS = ['Timestamp', 'Lesson ID', 'Version', 'User', 'Change', 'Snapshot'];
+const HISTORY_CHUNK_LENGTH = 45000;
+const HISTORY_LIST_LIMIT = 100; // Most recent versions shown in the History panel
+
 /**
- * Gets all data for a lesson for editing purposes.
- * @param {string} lessonName The name of the lesson.
- * @returns {Object} Lesson data with images array or error.
+ * Captures everything a restore needs to put a lesson back the way it is now.
+ * @param {Object} lesson The lesson record.
+ * @returns {Object} The snapshot as { description, challengeMode, images }, each image as { id, description, url, zones, focus }.
  */
-function getLessonForEditing(lessonName) {
-  try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      return { success: false, message: "Lesson Database sheet not found." };
-    }
-
-    const data = sheet.getDataRange().getValues();
-
-    // Find the lesson row
-    let lessonRow = null;
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] && data[i][0].toString().trim() === lessonName.trim()) {
-        lessonRow = data[i];
-        break;
-      }
-    }
+function lessonSnapshot_(lesson) {
+  return {
+    description: lesson.description,
+    challengeMode: lesson.challengeMode,
+    images: getLessonImages_(lesson.id).map(image => ({
+      id: image.id,
+      description: image.description,
+      url: image.url,
+      zones: image.zones,
+      focus: image.focus
+    }))
+  };
+}
 
-    if (!lessonRow) {
-      return { success: false, message: "Lesson not found." };
+/**
+ * Splits a snapshot into cell-sized pieces. A piece never starts with a character that
+ * would make the spreadsheet read it as a formula, or with a quote it would strip off.
+ * @param {string} text The snapshot JSON.
+ * @returns {Array<string>} The pieces, in order.
+ */
+function splitHistorySnapshot_(text) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + HISTORY_CHUNK_LENGTH, text.length);
+    while (end < text.length && end > start + 1 && /[=+\-@']/.test(text.charAt(end))) {
+      end--;
     }
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  return chunks;
+}
 
-    const lessonData = {
-      title: lessonRow[0],
-      description: lessonRow[1],
-      images: []
-    };
-
-    // Parse all images (columns C onwards, in sets of 3)
-    // Column B is Lesson Description, images start at C
-    for (let i = 2; i < lessonRow.length; i += 3) {
-      const description = lessonRow[i];
-      const url = lessonRow[i + 1];
-      const zones = lessonRow[i + 2];
-
-      if (description && url && description.toString().trim() !== "" && url.toString().trim() !== "") {
-        lessonData.images.push({
-          index: Math.floor((i - 2) / 3), // Adjusted for starting at index 2
-          description: description,
-          url: convertGoogleDriveUrl(url),
-          zones: zones ? zones.toString() : '[]'
-        });
-      }
-    }
+/**
+ * Adds a history row holding a snapshot of a lesson as it is now.
+ * @param {Object} lesson The lesson record, with the Version the snapshot belongs to.
+ * @param {string} username Who made the change, or '' if unknown.
+ * @param {string} change A short description of the change.
+ */
+function recordLessonHistory_(lesson, username, change) {
+  const sheet = getOrCreateSheet_(HISTORY_SHEET_NAME, HISTORY_HEADERS);
+  sheet.appendRow([new Date(), lesson.id, lesson.version, username, sanitizeCellValue_(change)]
+    .concat(splitHistorySnapshot_(JSON.stringify(lessonSnapshot_(lesson)))));
+}
 
-    return {
-      success: true,
-      data: lessonData
-    };
+/**
+ * Records how a lesson looks before its first recorded change. Lessons from before
+ * history was kept have no history rows; call this before changing a lesson.
+ * @param {Object} lesson The lesson record, read while holding the edit lock.
+ */
+function recordLessonBaseline_(lesson) {
+  const sheet = getOrCreateSheet_(HISTORY_SHEET_NAME, HISTORY_HEADERS);
+  if (findRowByValue_(sheet, 2, lesson.id) === -1) {
+    recordLessonHistory_(lesson, '', 'Before history was kept');
+  }
+}
 
-  } catch (error) {
-    Logger.log(`Get lesson for editing error: ${error.toString()}`);
+/**
+ * Reads a lesson's history rows, oldest first, without their snapshots. Only the rows
+ * between the lesson's first and last entries are read, and only the columns before Snapshot.
+ * @param {string} lessonId The lesson's ID.
+ * @returns {Array<Object>} Entries as { row, version, timestamp, user, change }; pass row to readHistorySnapshot_.
+ */
+function readLessonHistory_(lessonId) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(HISTORY_SHEET_NAME);
+  if (!sheet || !lessonId || sheet.getLastRow() < 2) {
+    return [];
+  }
+  const rows = sheet.getRange(2, 2, sheet.getLastRow() - 1, 1)
+    .createTextFinder(lessonId)
+    .matchCase(true)
+    .matchEntireCell(true)
+    .findAll()
+    .map(cell => cell.getRow());
+  if (rows.length === 0) {
+    return [];
+  }
+  const first = Math.min.apply(null, rows);
+  const last = Math.max.apply(null, rows);
+  const metadata = sheet.getRange(first, 1, last - first + 1, HISTORY_HEADERS.length - 1).getValues();
+  return rows.sort((a, b) => a - b).map(row => {
+    const values = metadata[row - first];
     return {
-      success: false,
-      message: `Failed to get lesson data: ${error.toString()}`
+      row: row,
+      version: Number(values[2]) || 0,
+      timestamp: values[0] instanceof Date ? values[0].toISOString() : values[0].toString(),
+      user: values[3].toString(),
+      change: values[4].toString()
     };
-  }
+  });
 }
 
 /**
- * Extracts file ID from a Google Drive URL.
- * @param {string} url The Google Drive URL.
- * @returns {string|null} The file ID or null if not found.
+ * Reads the snapshot stored in one history row.
+ * @param {number} row The row, from readLessonHistory_.
+ * @returns {string} The snapshot JSON.
  */
-function extractFileIdFromUrl(url) {
-  if (!url || typeof url !== 'string') {
-    return null;
-  }
-  const fileIdMatch = url.match(/drive\.google\.com\/(?:file\/d\/|open\?id=|thumbnail\?id=)([a-zA-Z0-9_-]+)/);
-  return fileIdMatch ? fileIdMatch[1] : null;
+function readHistorySnapshot_(row) {
+  const sheet = getOrCreateSheet_(HISTORY_SHEET_NAME, HISTORY_HEADERS);
+  const snapshotColumn = HISTORY_HEADERS.length;
+  const width = Math.max(sheet.getLastColumn() - snapshotColumn + 1, 1);
+  return sheet.getRange(row, snapshotColumn, 1, width).getValues()[0].join('');
 }
 
 /**
- * Gets the folder ID for a lesson.
- * @param {string} lessonTitle The title of the lesson.
- * @returns {Object} Object with success boolean, folderId, and message.
+ * Gets a lesson's recent versions for the History panel, newest first. Snapshots are left
+ * out; getLessonVersionSnapshots fetches the ones needed to show a version.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @param {string} lessonName The name of the lesson.
+ * @returns {Object} Object with success boolean, the lesson's current version, and entries ({ version, timestamp, user, change }).
  */
-function getLessonFolderId(lessonTitle) {
+function getLessonHistory(sessionToken, lessonName) {
   try {
-    const ROOT_FOLDER_ID = '1L69YbBWOi7AM_LrB5A1ENTy-AJHoTTRf';
-    const rootFolder = DriveApp.getFolderById(ROOT_FOLDER_ID);
-
-    const existingFolders = rootFolder.getFoldersByName(lessonTitle);
-    if (existingFolders.hasNext()) {
-      const folder = existingFolders.next();
-      return {
-        success: true,
-        folderId: folder.getId(),
-        message: "Folder found."
-      };
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
     }
 
     return {
-      success: false,
-      message: "Folder not found for this lesson."
+      success: true,
+      version: auth.lesson.version,
+      entries: readLessonHistory_(auth.lesson.id).reverse().slice(0, HISTORY_LIST_LIMIT).map(entry => ({
+        version: entry.version,
+        timestamp: entry.timestamp,
+        user: entry.user,
+        change: entry.change
+      }))
     };
+
   } catch (error) {
-    Logger.log(`Get lesson folder error: ${error.toString()}`);
+    Logger.log(`Get lesson history error: ${error.toString()}`);
     return {
       success: false,
-      message: `Failed to get folder: ${error.toString()}`
+      message: `Failed to load lesson history: ${error.toString()}`
     };
   }
 }
 
 /**
- * Edits an image's title and description in the spreadsheet.
+ * Gets the snapshots the History panel needs to show what changed in one version: that
+ * version's and the one recorded before it.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
  * @param {string} lessonName The name of the lesson.
- * @param {number} imageIndex The index of the image (0-based).
- * @param {string} newDescription The new description for the image.
- * @returns {Object} Object with success boolean and message.
+ * @param {number} version The version being shown.
+ * @returns {Object} Object with success boolean, snapshot (JSON string), and previousVersion and
+ *     previousSnapshot, both null if this is the lesson's oldest recorded version.
  */
-function editImageMetadata(lessonName, imageIndex, newDescription) {
+function getLessonVersionSnapshots(sessionToken, lessonName, version) {
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      return { success: false, message: "Lesson Database sheet not found." };
-    }
-
-    // Find the lesson row
-    const data = sheet.getDataRange().getValues();
-    let lessonRow = -1;
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] && data[i][0].toString().trim() === lessonName.trim()) {
-        lessonRow = i + 1; // Convert to 1-based index
-        break;
-      }
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
     }
 
-    if (lessonRow === -1) {
-      return { success: false, message: "Lesson not found." };
+    const history = readLessonHistory_(auth.lesson.id);
+    const index = history.map(entry => entry.version).lastIndexOf(Number(version));
+    if (index === -1) {
+      return { success: false, message: `Version ${version} isn't in this lesson's history.` };
     }
-
-    // Calculate column index for the description
-    const descColumn = 3 + (imageIndex * 3); // Column C is index 3 for first image
-
-    // Update the description
-    sheet.getRange(lessonRow, descColumn).setValue(newDescription);
+    const previous = index > 0 ? history[index - 1] : null;
 
     return {
       success: true,
-      message: "Image description updated successfully."
+      snapshot: readHistorySnapshot_(history[index].row),
+      previousVersion: previous ? previous.version : null,
+      previousSnapshot: previous ? readHistorySnapshot_(previous.row) : null
     };
 
   } catch (error) {
-    Logger.log(`Edit image metadata error: ${error.toString()}`);
+    Logger.log(`Get lesson version snapshots error: ${error.toString()}`);
     return {
       success: false,
-      message: `Failed to edit image: ${error.toString()}`
+      message: `Failed to load version ${version}: ${error.toString()}`
     };
   }
 }
 
 /**
- * Replaces an image by deleting the old one from Drive and uploading the new one.
+ * Puts a lesson's description, settings, images and zones back the way they were at an
+ * earlier version. The restore is itself a new version, so it can be undone the same way.
+ * Images deleted since are brought back with their original IDs, so zone links to them work,
+ * and image files that were trashed by a delete or replace are taken out of the Drive trash.
+ * Images added since are removed from the lesson but their files are left in Drive.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
  * @param {string} lessonName The name of the lesson.
- * @param {number} imageIndex The index of the image to replace (0-based).
- * @param {string} base64Data The base64-encoded new image data.
- * @param {string} mimeType The MIME type of the new image.
- * @param {string} fileName The name for the new file.
- * @param {string} imageDescription The description for the image.
- * @returns {Object} Object with success boolean, new URL, and message.
+ * @param {number} version The version to restore.
+ * @param {number} [expectedVersion] The lesson Version the editor loaded; the restore is refused if the lesson has changed since.
+ * @returns {Object} Object with success boolean, the lesson's new version, warnings array, and message; versionConflict if the lesson changed since it was loaded.
  */
-function replaceImage(lessonName, imageIndex, base64Data, mimeType, fileName, imageDescription) {
+function restoreLessonVersion(sessionToken, lessonName, version, expectedVersion) {
+  let lock = null;
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      return { success: false, message: "Lesson Database sheet not found." };
-    }
-
-    // Find the lesson row
-    const data = sheet.getDataRange().getValues();
-    let lessonRow = -1;
-    let oldUrl = null;
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] && data[i][0].toString().trim() === lessonName.trim()) {
-        lessonRow = i + 1; // Convert to 1-based index
-        // Get old URL
-        const urlColumn = 4 + (imageIndex * 3); // Column D is index 4 for first image URL
-        oldUrl = data[i][urlColumn - 1]; // data array is 0-based
-        break;
-      }
+    if (!getAdminSession_(sessionToken)) {
+      return sessionRequiredResult_();
     }
-
-    if (lessonRow === -1) {
-      return { success: false, message: "Lesson not found." };
+    lock = acquireEditLock_();
+    const auth = authorizeLesson_(sessionToken, lessonName, 'canEdit');
+    if (auth.error) {
+      return auth.error;
     }
-
-    // Get folder ID for the lesson
-    const folderResult = getLessonFolderId(lessonName);
-    if (!folderResult.success) {
-      return folderResult;
+    const conflict = checkLessonVersion_(auth.lesson, expectedVersion);
+    if (conflict) {
+      return conflict;
     }
 
-    // Delete old file from Drive if it exists
-    if (oldUrl) {
-      const oldFileId = extractFileIdFromUrl(oldUrl);
-      if (oldFileId) {
-        try {
-          const oldFile = DriveApp.getFileById(oldFileId);
-          oldFile.setTrashed(true);
-          Logger.log(`Deleted old file: ${oldFileId}`);
-        } catch (e) {
-          Logger.log(`Could not delete old file ${oldFileId}: ${e.toString()}`);
-          // Continue anyway - the file might already be deleted
-        }
-      }
+    const entry = readLessonHistory_(auth.lesson.id).filter(item => item.version === Number(version)).pop();
+    if (!entry) {
+      return { success: false, message: `Version ${version} isn't in this lesson's history.` };
     }
-
-    // Upload new image
-    const uploadResult = uploadImageToDrive(base64Data, mimeType, fileName, folderResult.folderId);
-    if (!uploadResult.success) {
-      return uploadResult;
+    let snapshot;
+    try {
+      snapshot = JSON.parse(readHistorySnapshot_(entry.row));
+    } catch (e) {
+      Logger.log(`Unreadable snapshot in history row ${entry.row}: ${e.toString()}`);
+      return { success: false, message: `Version ${entry.version}'s saved copy can't be read, so it can't be restored.` };
     }
 
-    // Update spreadsheet with new URL and description
-    const descColumn = 3 + (imageIndex * 3);
-    const urlColumn = 4 + (imageIndex * 3);
+    // Take back out of the trash any image file a delete or replace has trashed since
+    const warnings = [];
+    snapshot.images.forEach((image, index) => {
+      const fileId = extractFileIdFromUrl(image.url);
+      if (!fileId) return;
+      try {
+        const file = DriveApp.getFileById(fileId);
+        if (file.isTrashed()) {
+          file.setTrashed(false);
+        }
+      } catch (e) {
+        Logger.log(`Restore could not recover file ${fileId}: ${e.toString()}`);
+        warnings.push(`Image ${index + 1} ("${image.description}") links to a Drive file that no longer exists. Replace it in the image manager.`);
+      }
+    });
 
-    sheet.getRange(lessonRow, descColumn).setValue(imageDescription);
-    sheet.getRange(lessonRow, urlColumn).setValue(uploadResult.url);
+    // Rewrite the images the snapshot still has before deleting any, so row numbers stay valid
+    const current = getLessonImages_(auth.lesson.id);
+    snapshot.images.forEach((image, index) => {
+      const fields = { order: index + 1, description: image.description, url: image.url, zones: image.zones, focus: image.focus };
+      const existing = current.find(item => item.id === image.id);
+      if (existing) {
+        updateImageRecord_(existing, fields);
+      } else {
+        addImageRecord_(auth.lesson.id, Object.assign({ id: image.id }, fields));
+      }
+    });
+    current
+      .filter(item => !snapshot.images.some(image => image.id === item.id))
+      .sort((a, b) => b.row - a.row)
+      .forEach(item => deleteImageRecord_(item));
+
+    const restored = updateLessonRecord_(auth.lesson, {
+      description: snapshot.description,
+      challengeMode: snapshot.challengeMode,
+      version: auth.lesson.version + 1
+    });
+    recordLessonHistory_(restored, auth.session.username, `Restored version ${entry.version}`);
 
     return {
       success: true,
-      url: uploadResult.url,
-      fileId: uploadResult.fileId,
-      message: "Image replaced successfully."
+      version: restored.version,
+      warnings: warnings,
+      message: `Restored version ${entry.version} as version ${restored.version}.`
     };
 
   } catch (error) {
-    Logger.log(`Replace image error: ${error.toString()}`);
+    Logger.log(`Restore lesson version error: ${error.toString()}`);
     return {
       success: false,
-      message: `Failed to replace image: ${error.toString()}`
+      message: `Failed to restore lesson version: ${error.toString()}`
     };
+  } finally {
+    if (lock) lock.release();
   }
 }
 
+// ============================================================================
+// STUDENT RESPONSES & RESULTS
+// ============================================================================
+
+const RESPONSES_SHEET_NAME = "Responses";
+const RESPONSES_HEADERS = ['Timestamp', 'Student', 'Email', 'Period', 'Lesson', 'Event', 'Image', 'Zone', 'Result', 'Details'];
+
 /**
- * Deletes an image from both the spreadsheet and Google Drive.
- * @param {string} lessonName The name of the lesson.
- * @param {number} imageIndex The index of the image to delete (0-based).
+ * Event types the simulation view is allowed to report.
+ */
+const STUDENT_EVENT_TYPES = ['lesson_opened', 'view_reached', 'zone_clicked', 'focus_completed', 'quiz_answer', 'challenge_answer'];
+
+// recordStudentEvent takes no credentials, so it caps what one call can write
+const STUDENT_NAME_MAX_LENGTH = 100;
+const STUDENT_PERIOD_MAX_LENGTH = 20;
+const STUDENT_EVENT_LABEL_MAX_LENGTH = 200;
+const STUDENT_EVENT_RESULT_MAX_LENGTH = 20;
+const STUDENT_EVENT_DETAILS_MAX_LENGTH = 2000;
+
+// Focus grading: full marks for focusing within FOCUS_GRADE_FREE_SECONDS without
+// overshooting, minus points for every overshoot and every second after that.
+const FOCUS_GRADE_FREE_SECONDS = 10;
+const FOCUS_GRADE_OVERSHOOT_PENALTY = 10;
+const FOCUS_GRADE_SECOND_PENALTY = 2;
+
+/**
+ * Grades one focusing exercise.
+ * @param {number} durationMs How long the student took to reach focus.
+ * @param {number} overshoots How many times they turned the knob past the focus point.
+ * @returns {number} A score from 0 to 100.
+ */
+function gradeFocusAttempt_(durationMs, overshoots) {
+  const extraSeconds = Math.max(0, (Number(durationMs) || 0) / 1000 - FOCUS_GRADE_FREE_SECONDS);
+  const score = 100 - (Number(overshoots) || 0) * FOCUS_GRADE_OVERSHOOT_PENALTY - extraSeconds * FOCUS_GRADE_SECOND_PENALTY;
+  return Math.round(Math.min(100, Math.max(0, score)));
+}
+
+/**
+ * Records something a student did in the simulation view as a row in the "Responses" sheet.
+ * The signed-in Google account email is added when the deployment can see it. Anyone can call
+ * this, so events are only accepted for published lessons (or with an admin preview token),
+ * and text fields are capped in length.
+ * @param {Object} event The event sent by the simulation view.
+ * @param {string} event.type One of STUDENT_EVENT_TYPES.
+ * @param {Object} event.student The student's identity: { name, period }.
+ * @param {string} event.lessonName The lesson the event happened in.
+ * @param {number} [event.imageNumber] The 1-based image number, when the event belongs to an image.
+ * @param {string} [event.zoneLabel] The label of the zone involved, if any.
+ * @param {string} [event.result] 'Correct' or 'Incorrect' for quiz answers; 'Found' or 'Skipped' for challenge prompts.
+ * @param {Object} [event.details] Extra event-specific data, stored as JSON. focus_completed sends { durationMs, overshoots };
+ *     challenge_answer sends { misses, durationMs }.
+ * @param {string} [event.previewToken] An admin session token, for an event in an unpublished lesson being previewed.
  * @returns {Object} Object with success boolean and message.
  */
-function deleteImage(lessonName, imageIndex) {
+function recordStudentEvent(event) {
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      return { success: false, message: "Lesson Database sheet not found." };
-    }
-
-    // Find the lesson row
-    const data = sheet.getDataRange().getValues();
-    let lessonRow = -1;
-    let imageUrl = null;
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] && data[i][0].toString().trim() === lessonName.trim()) {
-        lessonRow = i + 1; // Convert to 1-based index
-        // Get image URL
-        const urlColumn = 4 + (imageIndex * 3);
-        imageUrl = data[i][urlColumn - 1]; // data array is 0-based
-        break;
-      }
+    if (!event || STUDENT_EVENT_TYPES.indexOf(event.type) === -1) {
+      return { success: false, message: "Unknown event type." };
     }
 
-    if (lessonRow === -1) {
+    const lessonName = (event.lessonName || '').toString();
+    const lesson = findLessonByTitle_(lessonName);
+    if (!lesson) {
       return { success: false, message: "Lesson not found." };
     }
-
-    // Delete file from Drive
-    if (imageUrl) {
-      const fileId = extractFileIdFromUrl(imageUrl);
-      if (fileId) {
-        try {
-          const file = DriveApp.getFileById(fileId);
-          file.setTrashed(true);
-          Logger.log(`Deleted file from Drive: ${fileId}`);
-        } catch (e) {
-          Logger.log(`Could not delete file ${fileId}: ${e.toString()}`);
-          // Continue anyway - the file might already be deleted
-        }
-      }
+    if (lesson.status !== LESSON_STATUS_PUBLISHED && authorizeLesson_(event.previewToken, lessonName, 'canEdit').error) {
+      return { success: false, message: "This lesson isn't published." };
     }
 
-    // Clear the image data from spreadsheet (description, URL, and zones)
-    const descColumn = 3 + (imageIndex * 3);
-    const urlColumn = 4 + (imageIndex * 3);
-    const zonesColumn = 5 + (imageIndex * 3);
+    const details = event.details ? JSON.stringify(event.details) : '';
+    if (details.length > STUDENT_EVENT_DETAILS_MAX_LENGTH) {
+      return { success: false, message: "Event details are too long." };
+    }
+    const text = (value, maxLength) => (value === undefined || value === null ? '' : value.toString()).trim().slice(0, maxLength);
+    const imageNumber = parseInt(event.imageNumber, 10);
+
+    const student = event.student || {};
+    let email = '';
+    try {
+      email = Session.getActiveUser().getEmail();
+    } catch (e) {
+      // Anonymous visitors have no email; name and period identify them instead
+    }
 
-    sheet.getRange(lessonRow, descColumn).setValue("");
-    sheet.getRange(lessonRow, urlColumn).setValue("");
-    sheet.getRange(lessonRow, zonesColumn).setValue("");
+    const sheet = getOrCreateSheet_(RESPONSES_SHEET_NAME, RESPONSES_HEADERS);
+    sheet.appendRow([
+      new Date(),
+      text(student.name, STUDENT_NAME_MAX_LENGTH) || 'Anonymous',
+      email,
+      text(student.period, STUDENT_PERIOD_MAX_LENGTH),
+      lesson.title,
+      event.type,
+      imageNumber > 0 ? imageNumber : '',
+      text(event.zoneLabel, STUDENT_EVENT_LABEL_MAX_LENGTH),
+      text(event.result, STUDENT_EVENT_RESULT_MAX_LENGTH),
+      details
+    ].map(sanitizeCellValue_));
 
     return {
       success: true,
-      message: "Image deleted successfully from spreadsheet and Drive."
+      message: "Event recorded."
     };
 
   } catch (error) {
-    Logger.log(`Delete image error: ${error.toString()}`);
+    Logger.log(`Record student event error: ${error.toString()}`);
     return {
       success: false,
-      message: `Failed to delete image: ${error.toString()}`
+      message: `Failed to record event: ${error.toString()}`
     };
   }
 }
 
 /**
- * Deletes an entire lesson from both the spreadsheet and Google Drive.
- * This will remove the lesson row from the spreadsheet and delete the lesson's folder
- * (including all images) from Google Drive.
- * @param {string} lessonName The name of the lesson to delete.
- * @returns {Object} Object with success boolean and message.
+ * Rolls the "Responses" sheet up per lesson and per student for the teacher results dashboard.
+ * Quiz scores count only each student's first answer to each quiz zone, focus grades
+ * only each student's first time focusing each image, and challenge scores only each
+ * student's first attempt at each challenge prompt.
+ * Teachers only see results for lessons they can edit; department admins see everything.
+ * @param {string} sessionToken The admin session token from authenticateAdmin.
+ * @returns {Object} Object with success boolean, lessons array, periods array, and message on failure.
  */
-function deleteLesson(lessonName) {
+function getResponseSummary(sessionToken) {
   try {
-    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Lesson Database");
-    if (!sheet) {
-      return { success: false, message: "Lesson Database sheet not found." };
+    const session = getAdminSession_(sessionToken);
+    if (!session) {
+      return sessionRequiredResult_();
     }
 
-    // Find the lesson row
-    const data = sheet.getDataRange().getValues();
-    let lessonRow = -1;
-    for (let i = 1; i < data.length; i++) {
-      if (data[i][0] && data[i][0].toString().trim() === lessonName.trim()) {
-        lessonRow = i + 1; // Convert to 1-based index
-        break;
-      }
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RESPONSES_SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) {
+      return { success: true, lessons: [], periods: [] };
     }
 
-    if (lessonRow === -1) {
-      return { success: false, message: "Lesson not found." };
-    }
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, RESPONSES_HEADERS.length).getValues();
+    const lessons = {};
+    const periods = {};
 
-    // Get the folder for this lesson
-    const folderResult = getLessonFolderId(lessonName);
-    if (folderResult.success) {
+    rows.forEach(row => {
+      const [timestamp, name, email, period, lessonName, type, imageNumber, zoneLabel, result, detailsJson] = row;
+      if (!lessonName) return;
+
+      let details = {};
       try {
-        const folder = DriveApp.getFolderById(folderResult.folderId);
+        details = detailsJson ? JSON.parse(detailsJson) : {};
+      } catch (e) {
+        // Keep the row; it just has no extra details
+      }
 
-        // Delete all files in the folder
-        const files = folder.getFiles();
-        let fileCount = 0;
-        while (files.hasNext()) {
-          const file = files.next();
-          try {
-            file.setTrashed(true);
-            fileCount++;
-            Logger.log(`Deleted file: ${file.getName()} (${file.getId()})`);
-          } catch (e) {
-            Logger.log(`Could not delete file ${file.getId()}: ${e.toString()}`);
-            // Continue with other files
-          }
-        }
+      const lesson = lessons[lessonName] = lessons[lessonName] || {
+        name: lessonName, imageCount: 0, students: {}, zones: {}
+      };
+      const studentKey = (email || `${name}|${period}`).toString().toLowerCase();
+      const student = lesson.students[studentKey] = lesson.students[studentKey] || {
+        name: name, email: email, period: period.toString(),
+        viewsReached: {}, zonesClicked: 0, focusCompleted: 0,
+        focusAttempts: {}, quizzes: {}, challenges: {}, lastActivity: null
+      };
+      if (period !== '') periods[period] = true;
 
-        // Delete the folder itself
-        folder.setTrashed(true);
-        Logger.log(`Deleted lesson folder: ${lessonName} (${folderResult.folderId}) with ${fileCount} files`);
+      const time = timestamp instanceof Date ? timestamp : new Date(timestamp);
+      if (!student.lastActivity || time > student.lastActivity) {
+        student.lastActivity = time;
+      }
 
-      } catch (e) {
-        Logger.log(`Error deleting Drive folder: ${e.toString()}`);
-        // Continue to delete the spreadsheet row even if Drive deletion fails
+      if (type === 'lesson_opened' && details.imageCount) {
+        lesson.imageCount = details.imageCount;
+      } else if (type === 'view_reached') {
+        student.viewsReached[imageNumber] = true;
+      } else if (type === 'zone_clicked') {
+        student.zonesClicked++;
+      } else if (type === 'focus_completed') {
+        student.focusCompleted++;
+        if (!(imageNumber in student.focusAttempts)) {
+          student.focusAttempts[imageNumber] = {
+            seconds: (Number(details.durationMs) || 0) / 1000,
+            overshoots: Number(details.overshoots) || 0,
+            score: gradeFocusAttempt_(details.durationMs, details.overshoots)
+          };
+        }
+      } else if (type === 'quiz_answer') {
+        const quizKey = `${imageNumber}|${zoneLabel}`;
+        const isCorrect = result === 'Correct';
+        if (!(quizKey in student.quizzes)) {
+          student.quizzes[quizKey] = isCorrect;
+        }
+        const zone = lesson.zones[quizKey] = lesson.zones[quizKey] || {
+          zone: zoneLabel, imageNumber: imageNumber, attempts: 0, misses: 0
+        };
+        zone.attempts++;
+        if (!isCorrect) zone.misses++;
+      } else if (type === 'challenge_answer') {
+        const challengeKey = `${imageNumber}|${zoneLabel}`;
+        if (!(challengeKey in student.challenges)) {
+          student.challenges[challengeKey] = {
+            found: result === 'Found',
+            misses: Number(details.misses) || 0,
+            seconds: (Number(details.durationMs) || 0) / 1000
+          };
+        }
       }
-    } else {
-      Logger.log(`Folder not found for lesson: ${lessonName}. Proceeding with spreadsheet deletion only.`);
-    }
+    });
 
-    // Delete the row from the spreadsheet
-    sheet.deleteRow(lessonRow);
-    Logger.log(`Deleted lesson row ${lessonRow} for lesson: ${lessonName}`);
+    const records = readLessons_();
+    const visibleLessons = Object.keys(lessons).filter(lessonName => {
+      const record = records.find(rec => rec.title === lessonName.toString().trim());
+      return record ? getLessonPermissions_(session, record).canEdit : session.role === ADMIN_ROLE;
+    });
+
+    const summary = visibleLessons.sort().map(lessonName => {
+      const lesson = lessons[lessonName];
+      return {
+        name: lesson.name,
+        imageCount: lesson.imageCount,
+        students: Object.keys(lesson.students).map(key => {
+          const student = lesson.students[key];
+          const quizResults = Object.keys(student.quizzes).map(quizKey => student.quizzes[quizKey]);
+          const viewsReached = Object.keys(student.viewsReached).length;
+          const focusAttempts = Object.keys(student.focusAttempts).map(key => student.focusAttempts[key]);
+          const challenges = Object.keys(student.challenges).map(key => student.challenges[key]);
+          const averageOf = (attempts, field) => attempts.length > 0
+            ? Math.round(attempts.reduce((sum, attempt) => sum + attempt[field], 0) / attempts.length * 10) / 10
+            : null;
+          const average = (field) => averageOf(focusAttempts, field);
+          return {
+            name: student.name,
+            email: student.email,
+            period: student.period,
+            viewsReached: viewsReached,
+            complete: lesson.imageCount > 0 && viewsReached >= lesson.imageCount,
+            zonesClicked: student.zonesClicked,
+            focusCompleted: student.focusCompleted,
+            focusScore: average('score'),
+            focusSeconds: average('seconds'),
+            focusOvershoots: average('overshoots'),
+            quizAttempted: quizResults.length,
+            quizCorrect: quizResults.filter(correct => correct).length,
+            challengePrompts: challenges.length,
+            challengeFound: challenges.filter(challenge => challenge.found).length,
+            challengeMisses: challenges.reduce((sum, challenge) => sum + challenge.misses, 0),
+            challengeSeconds: averageOf(challenges, 'seconds'),
+            lastActivity: student.lastActivity ? student.lastActivity.toISOString() : null
+          };
+        }).sort((a, b) => a.name.toString().localeCompare(b.name.toString())),
+        missedZones: Object.keys(lesson.zones)
+          .map(key => lesson.zones[key])
+          .filter(zone => zone.misses > 0)
+          .sort((a, b) => b.misses - a.misses)
+      };
+    });
 
     return {
       success: true,
-      message: "Lesson deleted successfully from spreadsheet and Drive."
+      lessons: summary,
+      periods: Object.keys(periods).sort()
     };
 
   } catch (error) {
-    Logger.log(`Delete lesson error: ${error.toString()}`);
+    Logger.log(`Get response summary error: ${error.toString()}`);
     return {
       success: false,
-      message: `Failed to delete lesson: ${error.toString()}`
+      message: `Failed to load student results: ${error.toString()}`
     };
   }
 }